@@ -0,0 +1,186 @@
+/**
+ * Authenticated HTTP admin API for the signaling server.
+ *
+ * Usage:
+ *   const { createAdminApi } = require('./admin_api');
+ *   const handler = createAdminApi(token, actions);
+ *   http.createServer(handler);
+ *
+ * Every request must carry `Authorization: Bearer <token>`. When no token is
+ * configured the API is disabled and every route answers 404.
+ *
+ * Routes (all JSON):
+ *   GET    /admin/lobbies                  open lobbies with peers, host and sealed state
+ *   GET    /admin/lobbies/:code            one lobby
+ *   DELETE /admin/lobbies/:code            force-close a lobby
+ *   DELETE /admin/lobbies/:code/peers/:id  kick a peer
+ *   GET    /admin/saves                    saved game codes
+ *   POST   /admin/saves                    import a save file under a new code
+ *   PUT    /admin/saves/:code              import a save file under this code
+ *   GET    /admin/saves/:code/export       download a saved game as a save file
+ *   DELETE /admin/saves/:code              delete a saved game
+ *   GET    /admin/saves/:code/versions     versions kept of a saved game, newest first
+ *   POST   /admin/saves/:code/versions/:version/restore
+ *                                          roll a saved game back to a version
+ *   GET    /admin/codes/stats              lobby code generator statistics
+ *   GET    /admin/saves/cleanup            saved game cache and expiry job status
+ *   GET    /admin/saves/flush              saved game write-behind status
+ *
+ * The lobby routes cover the lobbies of the instance serving the request only.
+ *
+ * Actions signal client errors by throwing an AdminError with the HTTP status.
+ */
+
+const crypto = require('crypto');
+const { config } = require('./config');
+const log = require('./logger').child({ 'module': 'admin' });
+
+// Request bodies are save files: a base64 game state plus some JSON around it.
+const MAX_BODY_OVERHEAD = 64 * 1024;
+
+class AdminError extends Error {
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+}
+
+// A JSON document sent as a file download.
+class Download {
+	constructor(filename, body) {
+		this.filename = filename;
+		this.body = body;
+	}
+}
+
+function sendJson(res, status, body) {
+	const json = JSON.stringify(body);
+	res.writeHead(status, {
+		'Content-Type': 'application/json',
+		'Content-Length': Buffer.byteLength(json),
+	});
+	res.end(json);
+}
+
+function sendDownload(res, download) {
+	const json = JSON.stringify(download.body, null, '\t');
+	res.writeHead(200, {
+		'Content-Type': 'application/json',
+		'Content-Length': Buffer.byteLength(json),
+		'Content-Disposition': `attachment; filename="${download.filename}"`,
+	});
+	res.end(json);
+}
+
+function decodeParam(param) {
+	try {
+		return decodeURIComponent(param);
+	} catch (err) {
+		throw new AdminError(400, 'Malformed URL');
+	}
+}
+
+function readBody(req) {
+	const limit = Math.ceil((config.MAX_GAME_STATE_SIZE * 4) / 3) + MAX_BODY_OVERHEAD;
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		req.on('data', (chunk) => {
+			size += chunk.length;
+			if (size > limit) {
+				req.destroy();
+				reject(new AdminError(413, 'Request body too large'));
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+		req.on('error', reject);
+	});
+}
+
+function isAuthorized(req, token) {
+	const header = req.headers['authorization'] || '';
+	const expected = Buffer.from(`Bearer ${token}`);
+	const given = Buffer.from(header);
+	return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Create the request handler. `actions` provides the server operations:
+ *   listLobbies(), getLobby(code), closeLobby(code), kickPeer(code, id),
+ *   listSaves(), deleteSave(code), getCodeStats(), getSaveCleanup(),
+ *   getSaveFlush(), listSaveVersions(code), restoreSaveVersion(code, version),
+ *   exportSave(code), importSave(code, body)
+ * getLobby/closeLobby/kickPeer/deleteSave/listSaveVersions/restoreSaveVersion/
+ * exportSave return a falsy value when the target does not exist. importSave
+ * gets the request body as a string and a null code for a new one.
+ */
+function createAdminApi(token, actions) {
+	const routes = [
+		['GET', /^\/admin\/lobbies$/, async () => actions.listLobbies()],
+		['GET', /^\/admin\/lobbies\/([^/]+)$/, async (code) => actions.getLobby(code)],
+		['DELETE', /^\/admin\/lobbies\/([^/]+)$/, async (code) => actions.closeLobby(code)],
+		['DELETE', /^\/admin\/lobbies\/([^/]+)\/peers\/(\d+)$/, async (code, id) => actions.kickPeer(code, Number(id))],
+		['GET', /^\/admin\/saves$/, async () => actions.listSaves()],
+		['POST', /^\/admin\/saves$/, async (req) => actions.importSave(null, await readBody(req))],
+		['PUT', /^\/admin\/saves\/([^/]+)$/, async (code, req) => actions.importSave(code, await readBody(req))],
+		['GET', /^\/admin\/saves\/([^/]+)\/export$/, async (code) => {
+			const save = await actions.exportSave(code);
+			return save && new Download(`${code}.json`, save);
+		}],
+		['GET', /^\/admin\/saves\/cleanup$/, async () => actions.getSaveCleanup()],
+		['GET', /^\/admin\/saves\/flush$/, async () => actions.getSaveFlush()],
+		['DELETE', /^\/admin\/saves\/([^/]+)$/, async (code) => actions.deleteSave(code)],
+		['GET', /^\/admin\/saves\/([^/]+)\/versions$/, async (code) => actions.listSaveVersions(code)],
+		['POST', /^\/admin\/saves\/([^/]+)\/versions\/(\d+)\/restore$/, async (code, version) => actions.restoreSaveVersion(code, Number(version))],
+		['GET', /^\/admin\/codes\/stats$/, async () => actions.getCodeStats()],
+	];
+
+	return async (req, res) => {
+		if (!token) {
+			sendJson(res, 404, { 'error': 'Not found' });
+			return;
+		}
+		if (!isAuthorized(req, token)) {
+			sendJson(res, 401, { 'error': 'Unauthorized' });
+			return;
+		}
+		const { pathname } = new URL(req.url, 'http://localhost');
+		const matches = routes
+			.map(([method, pattern, action]) => ({ method, action, match: pattern.exec(pathname) }))
+			.filter((r) => r.match);
+		if (matches.length === 0) {
+			sendJson(res, 404, { 'error': 'Not found' });
+			return;
+		}
+		const route = matches.find((r) => r.method === req.method);
+		if (!route) {
+			sendJson(res, 405, { 'error': 'Method not allowed' });
+			return;
+		}
+		try {
+			const params = route.match.slice(1).map((p) => decodeParam(p).toUpperCase());
+			const result = await route.action(...params, req);
+			if (!result) {
+				sendJson(res, 404, { 'error': 'Not found' });
+			} else if (result instanceof Download) {
+				sendDownload(res, result);
+			} else {
+				sendJson(res, 200, result);
+			}
+		} catch (err) {
+			if (err instanceof AdminError) {
+				sendJson(res, err.status, { 'error': err.message });
+				return;
+			}
+			log.error('Admin API error', { 'method': req.method, 'url': req.url, 'err': err });
+			sendJson(res, 500, { 'error': 'Internal server error' });
+		}
+	};
+}
+
+module.exports = {
+	AdminError,
+	createAdminApi,
+};
@@ -0,0 +1,89 @@
+/**
+ * Signed player tokens: HS256 JSON Web Tokens, issued by the game's own
+ * backend with a secret it shares with this server.
+ *
+ * Claims:
+ *   sub   stable user id (required)
+ *   name  display name (optional)
+ *   exp   expiry as a unix timestamp (optional, but tokens without one never expire)
+ *   nbf   not valid before, unix timestamp (optional)
+ *
+ * Usage:
+ *   const { verifyToken, signToken, AuthError } = require('./auth');
+ *   const user = verifyToken(token, secret); // -> { id, name }, or throws AuthError
+ *
+ * An empty secret rejects every token.
+ *   const token = signToken({ 'sub': 'player-1', 'name': 'Ann', 'exp': expiry }, secret);
+ */
+
+const crypto = require('crypto');
+
+const MAX_USER_ID_LENGTH = 128;
+const MAX_NAME_LENGTH = 64;
+const HEADER = Buffer.from(JSON.stringify({ 'alg': 'HS256', 'typ': 'JWT' })).toString('base64url');
+
+class AuthError extends Error {}
+
+function sign(data, secret) {
+	return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+function decodePart(part) {
+	try {
+		return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+	} catch (e) {
+		throw new AuthError('Malformed token');
+	}
+}
+
+function signToken(claims, secret) {
+	const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+	return `${HEADER}.${payload}.${sign(`${HEADER}.${payload}`, secret).toString('base64url')}`;
+}
+
+function verifyToken(token, secret) {
+	// An empty key would accept tokens anyone can sign.
+	if (!secret) {
+		throw new AuthError('Token verification is not configured');
+	}
+	const parts = typeof token === 'string' ? token.split('.') : [];
+	if (parts.length !== 3) {
+		throw new AuthError('Malformed token');
+	}
+	// Only ever HS256, so a token cannot pick a weaker algorithm (or "none").
+	const header = decodePart(parts[0]);
+	if (header === null || header.alg !== 'HS256') {
+		throw new AuthError('Unsupported token algorithm');
+	}
+	const expected = sign(`${parts[0]}.${parts[1]}`, secret);
+	const signature = Buffer.from(parts[2], 'base64url');
+	if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+		throw new AuthError('Bad token signature');
+	}
+	const claims = decodePart(parts[1]);
+	if (claims === null || typeof claims !== 'object') {
+		throw new AuthError('Malformed token');
+	}
+	const now = Date.now() / 1000;
+	if (claims.exp !== undefined && !(now < claims.exp)) {
+		throw new AuthError('Token expired');
+	}
+	if (claims.nbf !== undefined && !(now >= claims.nbf)) {
+		throw new AuthError('Token not yet valid');
+	}
+	if (typeof claims.sub !== 'string' || claims.sub === '' || claims.sub.length > MAX_USER_ID_LENGTH) {
+		throw new AuthError('Invalid token subject');
+	}
+	const name = claims.name === undefined ? '' : claims.name;
+	if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) {
+		throw new AuthError('Invalid token name');
+	}
+	return { 'id': claims.sub, 'name': name };
+}
+
+module.exports = {
+	AuthError,
+	MAX_USER_ID_LENGTH,
+	signToken,
+	verifyToken,
+};
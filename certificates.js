@@ -0,0 +1,85 @@
+/**
+ * TLS certificate and key loaded from disk and reloaded when either file
+ * changes, so renewals (e.g. by certbot) apply to new connections without a
+ * restart. Established connections keep the context they were opened with.
+ *
+ * Usage:
+ *   const { createCertificateWatcher } = require('./certificates');
+ *   const certs = createCertificateWatcher(); // null when TLS is not configured
+ *   const server = https.createServer(certs.load(), handler);
+ *   certs.watch(server);
+ *   certs.close(); // stop watching
+ *
+ * Settings (see config.js):
+ *   TLS_CERT            PEM certificate chain, TLS is off without it
+ *   TLS_KEY             PEM private key
+ *   TLS_WATCH_INTERVAL  how often the files are checked, in milliseconds (default: 60000)
+ */
+
+const fs = require('fs');
+const tls = require('tls');
+const { config } = require('./config');
+const logger = require('./logger');
+
+const log = logger.child({ 'module': 'tls' });
+
+class CertificateWatcher {
+	constructor(certPath, keyPath, interval) {
+		this.certPath = certPath;
+		this.keyPath = keyPath;
+		this.interval = interval;
+		this.server = null;
+	}
+
+	// Read both files and check that they make a usable context.
+	load() {
+		const options = {
+			'cert': fs.readFileSync(this.certPath),
+			'key': fs.readFileSync(this.keyPath),
+		};
+		tls.createSecureContext(options);
+		return options;
+	}
+
+	reload() {
+		let options;
+		try {
+			options = this.load();
+		} catch (err) {
+			// Most likely the renewal wrote one file and not yet the other, the next change retries.
+			log.warn('Certificate reload failed, keeping the current one', { 'err': err });
+			return;
+		}
+		this.server.setSecureContext(options);
+		log.info('Certificate reloaded', { 'cert': this.certPath });
+	}
+
+	watch(server) {
+		this.server = server;
+		// Polling follows symlinks, which is how certbot swaps renewed files in.
+		const onChange = (curr, prev) => {
+			if (curr.mtimeMs !== prev.mtimeMs) {
+				this.reload();
+			}
+		};
+		fs.watchFile(this.certPath, { 'interval': this.interval }, onChange);
+		fs.watchFile(this.keyPath, { 'interval': this.interval }, onChange);
+	}
+
+	close() {
+		fs.unwatchFile(this.certPath);
+		fs.unwatchFile(this.keyPath);
+	}
+}
+
+function createCertificateWatcher() {
+	if (!config.TLS_CERT) {
+		return null;
+	}
+	return new CertificateWatcher(config.TLS_CERT, config.TLS_KEY, config.TLS_WATCH_INTERVAL);
+}
+
+module.exports = {
+	CertificateWatcher,
+	createCertificateWatcher,
+};
@@ -0,0 +1,168 @@
+/**
+ * Cluster bus shared by signaling server instances: pub/sub channels plus
+ * expiring keys with compare-and-set semantics, used for lobby ownership.
+ *
+ * Every bus implements the same async interface:
+ *   publish(channel, message)      -> deliver a JSON-serializable message
+ *   subscribe(channel, handler)    -> handler(message) for every message
+ *   claim(key, value, ttlMs)       -> true if the key was free and is now ours
+ *   refresh(key, value, ttlMs)     -> true if we still hold the key
+ *   release(key, value)            -> delete the key if we hold it
+ *   get(key)                       -> current value, or null
+ *   close()
+ *
+ * Usage:
+ *   const { createClusterBus } = require('./cluster_bus');
+ *   const bus = createClusterBus(); // picks the implementation from the environment
+ *
+ * Settings (see config.js):
+ *   CLUSTER_BUS  memory | redis (default: memory, a single instance)
+ *   REDIS_URL    Redis (or compatible) server for the redis bus (default: redis://localhost:6379)
+ */
+
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const { config } = require('./config');
+
+const KEY_PREFIX = 'signaling:';
+
+// For a single instance, or several servers living in one process.
+class InProcessBus {
+	constructor() {
+		this.emitter = new EventEmitter();
+		this.emitter.setMaxListeners(0);
+		this.keys = new Map(); // key -> { value, expires }
+	}
+
+	async publish(channel, message) {
+		// Deliver asynchronously and as a copy, like a real broker would.
+		const json = JSON.stringify(message);
+		setImmediate(() => this.emitter.emit(channel, JSON.parse(json)));
+	}
+
+	async subscribe(channel, handler) {
+		this.emitter.on(channel, handler);
+	}
+
+	live(key) {
+		const entry = this.keys.get(key);
+		if (entry && entry.expires <= Date.now()) {
+			this.keys.delete(key);
+			return null;
+		}
+		return entry || null;
+	}
+
+	async claim(key, value, ttlMs) {
+		if (this.live(key)) {
+			return false;
+		}
+		this.keys.set(key, { value, expires: Date.now() + ttlMs });
+		return true;
+	}
+
+	async refresh(key, value, ttlMs) {
+		const entry = this.live(key);
+		if (!entry || entry.value !== value) {
+			return false;
+		}
+		entry.expires = Date.now() + ttlMs;
+		return true;
+	}
+
+	async release(key, value) {
+		const entry = this.live(key);
+		if (entry && entry.value === value) {
+			this.keys.delete(key);
+		}
+	}
+
+	async get(key) {
+		const entry = this.live(key);
+		return entry ? entry.value : null;
+	}
+
+	async close() {
+		this.emitter.removeAllListeners();
+	}
+}
+
+// Only touch a key if it still holds our value.
+const REFRESH_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then
+	return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+const RELEASE_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then
+	return redis.call('del', KEYS[1])
+end
+return 0`;
+
+class RedisBus {
+	constructor(url) {
+		// A subscribed connection cannot run other commands, hence two.
+		this.client = new Redis(url);
+		this.subscriber = new Redis(url);
+		this.handlers = new Map(); // channel -> [handler]
+		this.subscriber.on('message', (channel, json) => {
+			const message = JSON.parse(json);
+			(this.handlers.get(channel) || []).forEach((handler) => handler(message));
+		});
+	}
+
+	async publish(channel, message) {
+		await this.client.publish(KEY_PREFIX + channel, JSON.stringify(message));
+	}
+
+	async subscribe(channel, handler) {
+		const name = KEY_PREFIX + channel;
+		if (!this.handlers.has(name)) {
+			this.handlers.set(name, []);
+			await this.subscriber.subscribe(name);
+		}
+		this.handlers.get(name).push(handler);
+	}
+
+	async claim(key, value, ttlMs) {
+		return (await this.client.set(KEY_PREFIX + key, value, 'PX', ttlMs, 'NX')) === 'OK';
+	}
+
+	async refresh(key, value, ttlMs) {
+		return (await this.client.eval(REFRESH_SCRIPT, 1, KEY_PREFIX + key, value, ttlMs)) === 1;
+	}
+
+	async release(key, value) {
+		await this.client.eval(RELEASE_SCRIPT, 1, KEY_PREFIX + key, value);
+	}
+
+	async get(key) {
+		return this.client.get(KEY_PREFIX + key);
+	}
+
+	async close() {
+		this.subscriber.disconnect();
+		this.client.disconnect();
+	}
+}
+
+const BUSES = {
+	'memory': () => new InProcessBus(),
+	'redis': () => new RedisBus(config.REDIS_URL),
+};
+
+/**
+ * Create the bus named by `type`, or by CLUSTER_BUS.
+ */
+function createClusterBus(type) {
+	const name = type || config.CLUSTER_BUS;
+	const factory = BUSES[name];
+	if (!factory) {
+		throw new Error(`Unknown cluster bus: ${name}`);
+	}
+	return factory();
+}
+
+module.exports = {
+	InProcessBus,
+	RedisBus,
+	createClusterBus,
+};
@@ -0,0 +1,230 @@
+/**
+ * Server configuration: built-in defaults, overridden by an optional JSON or
+ * YAML file, overridden by environment variables. Every value is validated and
+ * an invalid configuration is rejected as a whole with a ConfigError.
+ *
+ * Usage:
+ *   const { config, reloadConfig } = require('./config');
+ *   config.MAX_PEERS; // always the current value
+ *   const { changed, ignored } = reloadConfig(); // e.g. on SIGHUP
+ *
+ * A reload re-reads the file and the environment and applies only the settings
+ * marked `reload` below; `ignored` lists the others that changed, which only
+ * take effect on restart.
+ *
+ * Environment variables:
+ *   CONFIG_FILE  path to a .json, .yml or .yaml file (optional)
+ *   any setting below, by name
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+class ConfigError extends Error {
+	constructor(problems) {
+		super(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+		this.problems = problems;
+	}
+}
+
+function integer(min = 0) {
+	return (value) => {
+		const n = typeof value === 'number' ? value : Number(String(value).trim());
+		if (!Number.isInteger(n) || n < min) {
+			throw new Error(`must be an integer >= ${min}`);
+		}
+		return n;
+	};
+}
+
+function string(value) {
+	if (typeof value !== 'string' && typeof value !== 'number') {
+		throw new Error('must be a string');
+	}
+	return String(value);
+}
+
+function boolean(value) {
+	if (value === true || value === 'true' || value === '1') {
+		return true;
+	}
+	if (value === false || value === 'false' || value === '0') {
+		return false;
+	}
+	throw new Error('must be true or false');
+}
+
+function oneOf(...choices) {
+	return (value) => {
+		if (!choices.includes(value)) {
+			throw new Error(`must be one of ${choices.join(', ')}`);
+		}
+		return value;
+	};
+}
+
+const SETTINGS = {
+	// Network
+	'PORT': { 'parse': integer(1), 'default': 5050 },
+	'ADMIN_PORT': { 'parse': integer(), 'default': 0 }, // 0 serves the admin API on PORT
+	'ADMIN_TOKEN': { 'parse': string, 'default': '' }, // Empty disables the admin API
+	'INSTANCE_ID': { 'parse': string, 'default': '' }, // Empty picks a random id
+	'TRUST_PROXY': { 'parse': integer(), 'default': 0, 'reload': true }, // Reverse proxies in front, see server.js
+	// Player tokens, see auth.js
+	'AUTH_SECRET': { 'parse': string, 'default': '', 'reload': true }, // Empty rejects every token
+	'AUTH_REQUIRED': { 'parse': boolean, 'default': false, 'reload': true }, // Refuse JOIN from anonymous peers
+	// TLS, see certificates.js
+	'TLS_CERT': { 'parse': string, 'default': '' },
+	'TLS_KEY': { 'parse': string, 'default': '' },
+	'TLS_WATCH_INTERVAL': { 'parse': integer(1000), 'default': 60000 },
+	// Capacity
+	'MAX_PEERS': { 'parse': integer(1), 'default': 4096, 'reload': true },
+	'MAX_LOBBIES': { 'parse': integer(1), 'default': 1024 * 1024, 'reload': true },
+	'MAX_SAVE_GAMES': { 'parse': integer(1), 'default': 10000, 'reload': true }, // Kept in memory, the rest spill to storage
+	'SAVE_CLEANUP_BATCH': { 'parse': integer(1), 'default': 500, 'reload': true }, // Expired saves deleted per storage query
+	'SAVE_COMPRESSION': { 'parse': oneOf('none', 'gzip', 'brotli'), 'default': 'gzip', 'reload': true }, // See save_codec.js
+	'SAVE_HISTORY': { 'parse': integer(), 'default': 10, 'reload': true }, // Versions kept per saved game, 0 keeps none
+	'SAVE_FLUSH_BATCH': { 'parse': integer(1), 'default': 100, 'reload': true }, // Saves written at a time
+	// Timeouts and intervals, in milliseconds
+	'NO_LOBBY_TIMEOUT': { 'parse': integer(1), 'default': 1000, 'reload': true },
+	'SEAL_CLOSE_TIMEOUT': { 'parse': integer(1), 'default': 10000, 'reload': true },
+	'PING_INTERVAL': { 'parse': integer(100), 'default': 10000, 'reload': true },
+	'AUTOSAVE_INTERVAL': { 'parse': integer(), 'default': 30000, 'reload': true }, // Live lobbies are checkpointed this often, 0 disables
+	'SAVE_HISTORY_INTERVAL': { 'parse': integer(), 'default': 600000, 'reload': true }, // Minimum time between two versions
+	'SAVE_FLUSH_INTERVAL': { 'parse': integer(100), 'default': 5000, 'reload': true }, // Unwritten saves go to storage this often
+	'RESUME_GRACE_TIMEOUT': { 'parse': integer(), 'default': 30000, 'reload': true },
+	'BROWSE_TIMEOUT': { 'parse': integer(1), 'default': 30000, 'reload': true },
+	'RESTART_RETRY_AFTER': { 'parse': integer(), 'default': 5000, 'reload': true },
+	'SHUTDOWN_TIMEOUT': { 'parse': integer(1), 'default': 10000, 'reload': true },
+	'SAVE_TTL': { 'parse': integer(), 'default': 30 * 24 * 3600 * 1000, 'reload': true }, // Unused saves are deleted after this, 0 keeps them
+	'SAVE_CLEANUP_INTERVAL': { 'parse': integer(1000), 'default': 3600000, 'reload': true },
+	// Who takes over when the host leaves, see Lobby.chooseSuccessor in server.js
+	'HOST_MIGRATION_POLICY': { 'parse': oneOf('longest', 'latency', 'designated'), 'default': 'longest', 'reload': true },
+	// Abuse protection, rates are messages per second
+	'MSG_RATE_PER_SOCKET': { 'parse': integer(1), 'default': 50 },
+	'MSG_BURST_PER_SOCKET': { 'parse': integer(1), 'default': 100 },
+	'MSG_RATE_PER_IP': { 'parse': integer(1), 'default': 200 },
+	'MSG_BURST_PER_IP': { 'parse': integer(1), 'default': 400 },
+	'MAX_CONNECTIONS_PER_IP': { 'parse': integer(1), 'default': 32, 'reload': true },
+	'MAX_FAILED_JOINS': { 'parse': integer(1), 'default': 10 },
+	// Message size limits, in bytes
+	'MAX_JSON_MESSAGE_SIZE': { 'parse': integer(1), 'default': 64 * 1024, 'reload': true },
+	'MAX_SDP_SIZE': { 'parse': integer(1), 'default': 32 * 1024, 'reload': true },
+	'MAX_CANDIDATE_SIZE': { 'parse': integer(1), 'default': 2048, 'reload': true },
+	'MAX_RELAY_SIZE': { 'parse': integer(1), 'default': 16 * 1024, 'reload': true },
+	'MAX_GAME_STATE_SIZE': { 'parse': integer(1), 'default': 4 * 1024 * 1024 },
+	'GAME_STATE_QUOTA_RATE': { 'parse': integer(1), 'default': 256 * 1024 },
+	'GAME_STATE_QUOTA_BURST': { 'parse': integer(), 'default': 0 }, // At least 2 * MAX_GAME_STATE_SIZE
+	// Logging, see logger.js
+	'LOG_LEVEL': { 'parse': oneOf('debug', 'info', 'warn', 'error', 'silent'), 'default': 'info', 'reload': true },
+	'LOG_FORMAT': { 'parse': oneOf('json', 'text'), 'default': 'json', 'reload': true },
+	// Scrambles the order lobby codes are handed out in, see sequential_code_generator.js
+	'CODE_SEED': { 'parse': integer(), 'default': 0 },
+	// Saved games, see storage.js and sql.js
+	'STORAGE_BACKEND': { 'parse': oneOf('', 'memory', 'file', 'mysql'), 'default': '' },
+	'STORAGE_DIR': { 'parse': string, 'default': 'saves' },
+	'DB_HOST': { 'parse': string, 'default': 'localhost' },
+	'DB_USER': { 'parse': string, 'default': '' },
+	'DB_PASS': { 'parse': string, 'default': '' },
+	'DB_NAME': { 'parse': string, 'default': '' },
+	// ICE servers, see turn.js
+	'STUN_URLS': { 'parse': string, 'default': '' },
+	'TURN_URLS': { 'parse': string, 'default': '' },
+	'TURN_SECRET': { 'parse': string, 'default': '' },
+	'TURN_TTL': { 'parse': integer(1), 'default': 3600 },
+	// Clustering, see cluster_bus.js
+	'CLUSTER_BUS': { 'parse': oneOf('memory', 'redis'), 'default': 'memory' },
+	'REDIS_URL': { 'parse': string, 'default': 'redis://localhost:6379' },
+};
+
+function readFile(file) {
+	const text = fs.readFileSync(file, 'utf8');
+	const ext = path.extname(file).toLowerCase();
+	const values = ext === '.yml' || ext === '.yaml' ? yaml.load(text) : JSON.parse(text);
+	if (values === null || values === undefined) {
+		return {};
+	}
+	if (typeof values !== 'object' || Array.isArray(values)) {
+		throw new Error('must contain an object');
+	}
+	return values;
+}
+
+// Build a complete configuration, or throw a ConfigError listing every problem.
+function load() {
+	const problems = [];
+	let file = {};
+	if (process.env.CONFIG_FILE) {
+		try {
+			file = readFile(process.env.CONFIG_FILE);
+		} catch (err) {
+			throw new ConfigError([`${process.env.CONFIG_FILE}: ${err.message}`]);
+		}
+		Object.keys(file).forEach((name) => {
+			if (!SETTINGS[name]) {
+				problems.push(`${name} (from ${process.env.CONFIG_FILE}): unknown setting`);
+			}
+		});
+	}
+	const values = {};
+	Object.keys(SETTINGS).forEach((name) => {
+		const setting = SETTINGS[name];
+		let source = 'default';
+		let raw = setting.default;
+		if (file[name] !== undefined && file[name] !== null) {
+			source = process.env.CONFIG_FILE;
+			raw = file[name];
+		}
+		// An empty variable counts as unset.
+		if (process.env[name] !== undefined && process.env[name] !== '') {
+			source = 'environment';
+			raw = process.env[name];
+		}
+		try {
+			values[name] = setting.parse(raw);
+		} catch (err) {
+			problems.push(`${name} (from ${source}): ${err.message}`);
+		}
+	});
+	if (values.AUTH_REQUIRED && !values.AUTH_SECRET) {
+		problems.push('AUTH_REQUIRED needs AUTH_SECRET');
+	}
+	if (Boolean(values.TLS_CERT) !== Boolean(values.TLS_KEY)) {
+		problems.push('TLS_CERT and TLS_KEY must be set together');
+	}
+	if (problems.length > 0) {
+		throw new ConfigError(problems);
+	}
+	return values;
+}
+
+const config = load();
+
+/**
+ * Re-read the file and the environment and apply the reloadable settings.
+ * Throws a ConfigError and changes nothing if the new configuration is invalid.
+ */
+function reloadConfig() {
+	const next = load();
+	const changed = [];
+	const ignored = [];
+	Object.keys(SETTINGS).forEach((name) => {
+		if (next[name] === config[name]) {
+			return;
+		}
+		if (SETTINGS[name].reload) {
+			config[name] = next[name];
+			changed.push(name);
+		} else {
+			ignored.push(name);
+		}
+	});
+	return { changed, ignored };
+}
+
+module.exports = {
+	ConfigError,
+	config,
+	reloadConfig,
+};
@@ -0,0 +1,97 @@
+/**
+ * Levelled, structured logging.
+ *
+ * Usage:
+ *   const log = require('./logger').child({ 'module': 'server' });
+ *   log.info('Peer joined lobby', { 'peer': peer.id, 'lobby': code });
+ *   log.error('DB save failed', { 'lobby': code, 'err': err });
+ *
+ * Every entry is one line on stdout (warn and error on stderr), either a
+ * JSON object with `time`, `level`, `msg` and the given fields, or a
+ * human-readable line.
+ *
+ * Settings (see config.js), both applied on reload:
+ *   LOG_LEVEL   debug | info | warn | error | silent (default: info)
+ *   LOG_FORMAT  json | text (default: json)
+ */
+
+const { config } = require('./config');
+
+const LEVELS = {
+	'debug': 10,
+	'info': 20,
+	'warn': 30,
+	'error': 40,
+	'silent': 100,
+};
+
+// Errors do not survive JSON.stringify, so keep the useful parts.
+function serialize(value) {
+	if (value instanceof Error) {
+		const out = { 'message': value.message, 'stack': value.stack };
+		if (value.code !== undefined) {
+			out.code = value.code;
+		}
+		return out;
+	}
+	return value;
+}
+
+function write(level, msg, fields) {
+	if (LEVELS[level] < LEVELS[config.LOG_LEVEL]) {
+		return;
+	}
+	const entry = { 'time': new Date().toISOString(), 'level': level, 'msg': msg };
+	Object.keys(fields).forEach((key) => {
+		if (fields[key] !== undefined) {
+			entry[key] = serialize(fields[key]);
+		}
+	});
+	let line;
+	if (config.LOG_FORMAT === 'json') {
+		line = JSON.stringify(entry);
+	} else {
+		const extra = Object.keys(entry)
+			.filter((k) => k !== 'time' && k !== 'level' && k !== 'msg')
+			.map((k) => `${k}=${typeof entry[k] === 'string' ? entry[k] : JSON.stringify(entry[k])}`);
+		line = [entry.time, level.toUpperCase(), msg].concat(extra).join(' ');
+	}
+	if (LEVELS[level] >= LEVELS.warn) {
+		process.stderr.write(`${line}\n`);
+	} else {
+		process.stdout.write(`${line}\n`);
+	}
+}
+
+class Logger {
+	constructor(fields) {
+		this.fields = fields;
+	}
+
+	// A logger that adds `fields` to every entry.
+	child(fields) {
+		return new Logger({ ...this.fields, ...fields });
+	}
+
+	debug(msg, fields = {}) {
+		write('debug', msg, { ...this.fields, ...fields });
+	}
+
+	info(msg, fields = {}) {
+		write('info', msg, { ...this.fields, ...fields });
+	}
+
+	warn(msg, fields = {}) {
+		write('warn', msg, { ...this.fields, ...fields });
+	}
+
+	error(msg, fields = {}) {
+		write('error', msg, { ...this.fields, ...fields });
+	}
+}
+
+const root = new Logger({});
+
+module.exports = {
+	child: (fields) => root.child(fields),
+};
@@ -0,0 +1,90 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ * Usage:
+ *   const metrics = require('./metrics');
+ *   const closed = metrics.counter('connections_closed_total', 'Closed connections');
+ *   closed.inc({ 'code': 1000 });
+ *   metrics.gauge('peers', 'Connected peers', () => peersCount);
+ *   res.end(metrics.render());
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = [];
+
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+	const keys = Object.keys(labels).sort();
+	if (keys.length === 0) {
+		return '';
+	}
+	return `{${keys.map((k) => `${k}="${escapeLabel(labels[k])}"`).join(',')}}`;
+}
+
+function header(name, help, type) {
+	return `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+}
+
+class Counter {
+	constructor(name, help) {
+		this.name = name;
+		this.help = help;
+		this.values = new Map(); // formatted labels -> value
+	}
+
+	inc(labels = {}, value = 1) {
+		const key = formatLabels(labels);
+		this.values.set(key, (this.values.get(key) || 0) + value);
+	}
+
+	render() {
+		let out = header(this.name, this.help, 'counter');
+		if (this.values.size === 0) {
+			out += `${this.name} 0\n`;
+		}
+		this.values.forEach((value, key) => {
+			out += `${this.name}${key} ${value}\n`;
+		});
+		return out;
+	}
+}
+
+// Gauges are sampled when rendered, so they never go stale.
+class Gauge {
+	constructor(name, help, collect) {
+		this.name = name;
+		this.help = help;
+		this.collect = collect;
+	}
+
+	render() {
+		return `${header(this.name, this.help, 'gauge')}${this.name} ${this.collect()}\n`;
+	}
+}
+
+function counter(name, help) {
+	const metric = new Counter(name, help);
+	registry.push(metric);
+	return metric;
+}
+
+function gauge(name, help, collect) {
+	const metric = new Gauge(name, help, collect);
+	registry.push(metric);
+	return metric;
+}
+
+function render() {
+	return registry.map((m) => m.render()).join('');
+}
+
+module.exports = {
+	CONTENT_TYPE,
+	counter,
+	gauge,
+	render,
+};
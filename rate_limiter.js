@@ -0,0 +1,115 @@
+/**
+ * Token buckets and failure tracking for abuse protection.
+ *
+ * Usage:
+ *   const { TokenBucket, KeyedLimiter, FailureTracker } = require('./rate_limiter');
+ *   const perSocket = new TokenBucket(20, 40);   // 20 tokens/s, bursts of 40
+ *   const perIp = new KeyedLimiter(100, 200);    // one bucket per key
+ *   const joins = new FailureTracker(10, 60000, 300000);
+ *
+ *   if (!perSocket.take() || !perIp.take(ip)) { ... }
+ *   if (joins.fail(ip)) { ... } // ip is now banned for 5 minutes
+ *
+ * KeyedLimiter and FailureTracker keep state per key; call sweep()
+ * periodically to drop idle entries.
+ */
+
+class TokenBucket {
+	constructor(rate, burst) {
+		this.rate = rate; // tokens per second
+		this.burst = burst;
+		this.tokens = burst;
+		this.last = Date.now();
+	}
+
+	refill() {
+		const now = Date.now();
+		this.tokens = Math.min(this.burst, this.tokens + ((now - this.last) / 1000) * this.rate);
+		this.last = now;
+	}
+
+	take(count = 1) {
+		this.refill();
+		if (this.tokens < count) {
+			return false;
+		}
+		this.tokens -= count;
+		return true;
+	}
+
+	isFull() {
+		this.refill();
+		return this.tokens >= this.burst;
+	}
+}
+
+class KeyedLimiter {
+	constructor(rate, burst) {
+		this.rate = rate;
+		this.burst = burst;
+		this.buckets = new Map();
+	}
+
+	take(key, count = 1) {
+		let bucket = this.buckets.get(key);
+		if (!bucket) {
+			bucket = new TokenBucket(this.rate, this.burst);
+			this.buckets.set(key, bucket);
+		}
+		return bucket.take(count);
+	}
+
+	// A full bucket behaves exactly like a new one, so it can go.
+	sweep() {
+		this.buckets.forEach((bucket, key) => {
+			if (bucket.isFull()) {
+				this.buckets.delete(key);
+			}
+		});
+	}
+}
+
+// Bans a key for `banMs` once it fails `maxFailures` times within `windowMs`.
+class FailureTracker {
+	constructor(maxFailures, windowMs, banMs) {
+		this.maxFailures = maxFailures;
+		this.windowMs = windowMs;
+		this.banMs = banMs;
+		this.entries = new Map(); // key -> { failures, windowStart, bannedUntil }
+	}
+
+	// Record a failure, returns true if the key is banned as a result.
+	fail(key) {
+		const now = Date.now();
+		let entry = this.entries.get(key);
+		if (!entry || (entry.bannedUntil <= now && now - entry.windowStart > this.windowMs)) {
+			entry = { failures: 0, windowStart: now, bannedUntil: 0 };
+			this.entries.set(key, entry);
+		}
+		entry.failures++;
+		if (entry.failures >= this.maxFailures) {
+			entry.bannedUntil = now + this.banMs;
+		}
+		return entry.bannedUntil > now;
+	}
+
+	isBanned(key) {
+		const entry = this.entries.get(key);
+		return Boolean(entry) && entry.bannedUntil > Date.now();
+	}
+
+	sweep() {
+		const now = Date.now();
+		this.entries.forEach((entry, key) => {
+			if (entry.bannedUntil <= now && now - entry.windowStart > this.windowMs) {
+				this.entries.delete(key);
+			}
+		});
+	}
+}
+
+module.exports = {
+	TokenBucket,
+	KeyedLimiter,
+	FailureTracker,
+};
@@ -0,0 +1,115 @@
+/**
+ * Envelope for game states written to storage: a small header, then the state
+ * compressed with zlib. The checksum is verified on load, so a truncated or
+ * damaged save is refused instead of being handed to a host.
+ *
+ * Layout (integers big-endian):
+ *   0   4   magic "GSAV"
+ *   4   1   format version, 1
+ *   5   1   compression: 0 none, 1 gzip, 2 brotli
+ *   6   4   original size in bytes
+ *   10  32  SHA-256 of the original state
+ *   42  4   id of the peer that uploaded the state, 0 if unknown
+ *   46      the (compressed) state
+ *
+ * Usage:
+ *   const { encodeState, decodeState, SaveCorruptError } = require('./save_codec');
+ *   const envelope = await encodeState(state, uploader);
+ *   const { state, uploader } = await decodeState(envelope); // or throws SaveCorruptError
+ *
+ * States saved before envelopes existed have no header and load as they are.
+ *
+ * Settings (see config.js):
+ *   SAVE_COMPRESSION  none | gzip | brotli (default: gzip)
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const zlib = require('zlib');
+const { config } = require('./config');
+
+const MAGIC = Buffer.from('GSAV');
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 46;
+
+const ALGORITHMS = {
+	'none': {
+		'id': 0,
+		'compress': async (data) => data,
+		'decompress': async (data) => data,
+	},
+	'gzip': {
+		'id': 1,
+		'compress': util.promisify(zlib.gzip),
+		'decompress': util.promisify(zlib.gunzip),
+	},
+	'brotli': {
+		'id': 2,
+		'compress': util.promisify(zlib.brotliCompress),
+		'decompress': util.promisify(zlib.brotliDecompress),
+	},
+};
+
+class SaveCorruptError extends Error {}
+
+function sha256(data) {
+	return crypto.createHash('sha256').update(data).digest();
+}
+
+async function encodeState(state, uploader = null) {
+	let algorithm = ALGORITHMS[config.SAVE_COMPRESSION];
+	let payload = await algorithm.compress(state);
+	// States are often compressed already, do not make them bigger.
+	if (payload.length >= state.length) {
+		algorithm = ALGORITHMS.none;
+		payload = state;
+	}
+	const header = Buffer.alloc(HEADER_SIZE);
+	MAGIC.copy(header, 0);
+	header.writeUInt8(FORMAT_VERSION, 4);
+	header.writeUInt8(algorithm.id, 5);
+	header.writeUInt32BE(state.length, 6);
+	sha256(state).copy(header, 10);
+	header.writeUInt32BE(uploader || 0, 42);
+	return Buffer.concat([header, payload]);
+}
+
+// Returns { state, uploader }, uploader being null when unknown.
+async function decodeState(envelope) {
+	if (envelope.length < MAGIC.length || !envelope.subarray(0, MAGIC.length).equals(MAGIC)) {
+		return { 'state': envelope, 'uploader': null };
+	}
+	if (envelope.length < HEADER_SIZE) {
+		throw new SaveCorruptError('Saved game header is truncated');
+	}
+	const version = envelope.readUInt8(4);
+	if (version !== FORMAT_VERSION) {
+		throw new SaveCorruptError(`Unsupported saved game format ${version}`);
+	}
+	const algorithm = Object.values(ALGORITHMS).find((a) => a.id === envelope.readUInt8(5));
+	if (!algorithm) {
+		throw new SaveCorruptError(`Unknown saved game compression ${envelope.readUInt8(5)}`);
+	}
+	const size = envelope.readUInt32BE(6);
+	let state;
+	try {
+		// Never inflate past the recorded size, whatever the payload says.
+		state = await algorithm.decompress(envelope.subarray(HEADER_SIZE), { 'maxOutputLength': Math.max(size, 1) });
+	} catch (err) {
+		throw new SaveCorruptError(`Saved game does not decompress: ${err.message}`);
+	}
+	if (state.length !== size) {
+		throw new SaveCorruptError(`Saved game is ${state.length} bytes, expected ${size}`);
+	}
+	if (!sha256(state).equals(envelope.subarray(10, 42))) {
+		throw new SaveCorruptError('Saved game checksum mismatch');
+	}
+	const uploader = envelope.readUInt32BE(42);
+	return { state, 'uploader': uploader === 0 ? null : uploader };
+}
+
+module.exports = {
+	SaveCorruptError,
+	decodeState,
+	encodeState,
+};
@@ -1,60 +1,80 @@
 // Sequential Code Generator with Base-34 Encoding
 // Replaces random code generation to avoid clashes while appearing random to users
+//
+// The counter lives in the storage layer (see storage.js `reserve`), handed out
+// in blocks so restarts and other instances never reuse a number. Codes may
+// still be in use from before a wrap-around or a CODE_SEED change, so
+// generateCode takes an `isTaken` check and skips those.
+
+const log = require('./logger').child({ 'module': 'codes' });
+
+const COUNTER_NAME = 'lobby_codes';
+const COUNTER_BLOCK = 100; // Numbers reserved from storage at a time
+const MAX_ATTEMPTS = 10; // Taken codes skipped before giving up
+
+// Greatest common divisor and Bezout coefficients, for the modular inverse.
+function extendedGcd(a, b) {
+    if (b === 0n) {
+        return { gcd: a, x: 1n, y: 0n };
+    }
+    const { gcd, x, y } = extendedGcd(b, a % b);
+    return { gcd, x: y, y: x - (a / b) * y };
+}
+
+function mod(a, m) {
+    return ((a % m) + m) % m;
+}
 
 class SequentialCodeGenerator {
-    constructor() {
-        // Base-34 alphabet (excludes 0, 1, I, O to avoid confusion)
+    constructor(storage) {
+        // Base-34 alphabet (excludes 0 and O to avoid confusion)
         this.ALPHABET = 'ABCDEFGHIJKLMNPQRSTUVWXYZ123456789';
-        this.BASE = this.ALPHABET.length; // 32
+        this.BASE = this.ALPHABET.length; // 34
         this.CODE_LENGTH = 6;
-        
-        // Persistent counter - in production, store this in your database
-        this.counter = this.loadCounter();
-        
-        // Maximum number of codes possible with 4 characters in base-34
-        this.MAX_CODES = Math.pow(this.BASE, this.CODE_LENGTH); // 1,336,336 possible codes
-        
-        console.log(`Sequential code generator initialized. Max codes: ${this.MAX_CODES.toLocaleString()}`);
+
+        // Maximum number of codes possible with 6 characters in base-34
+        this.MAX_CODES = Math.pow(this.BASE, this.CODE_LENGTH); // 1,544,804,416 possible codes
+
+        this.storage = storage;
+        this.counter = 0; // Next number to hand out
+        this.reservedUntil = 0; // End of the block reserved from storage
+        this.generated = 0;
+        this.skipped = 0;
+
+        log.info('Sequential code generator initialized', { 'maxCodes': this.MAX_CODES });
     }
 
-    // Load counter from persistent storage (database, file, etc.)
-    loadCounter() {
-        // In production, load from database:
-        // return await db.collection('counters').findOne({name: 'lobby_codes'})?.value || 1;
-        
-        // For demo, start from a random offset to make codes appear more random
-        return Math.floor(Math.random() * 10000) + 1;
+    // Next number from the persistent counter, reserving a new block when needed.
+    async nextNumber() {
+        if (this.counter >= this.reservedUntil) {
+            this.counter = await this.storage.reserve(COUNTER_NAME, COUNTER_BLOCK);
+            this.reservedUntil = this.counter + COUNTER_BLOCK;
+        }
+        const number = this.counter % this.MAX_CODES;
+        this.counter++;
+        return number;
     }
 
-    // Save counter to persistent storage
-    async saveCounter(counter) {
-        // In production, save to database:
-        // await db.collection('counters').updateOne(
-        //     {name: 'lobby_codes'}, 
-        //     {$set: {value: counter}}, 
-        //     {upsert: true}
-        // );
-        
-        this.counter = counter;
+    // Map a sequential number to the number that gets encoded.
+    transformNumber(sequential) {
+        return sequential;
     }
 
     // Convert number to base-34 string
     encodeBase34(number) {
-        if (number === 0) return this.ALPHABET[0].repeat(this.CODE_LENGTH);
-        
         let result = '';
         let num = number;
-        
+
         while (num > 0) {
             result = this.ALPHABET[num % this.BASE] + result;
             num = Math.floor(num / this.BASE);
         }
-        
+
         // Pad with leading characters to maintain consistent length
         while (result.length < this.CODE_LENGTH) {
             result = this.ALPHABET[0] + result;
         }
-        
+
         return result;
     }
 
@@ -72,21 +92,18 @@ class SequentialCodeGenerator {
         return result;
     }
 
-    // Generate next sequential code
-    async generateCode() {
-        if (this.counter >= this.MAX_CODES) {
-            // Counter overflow - reset or handle as needed
-            console.warn('Code counter overflow, resetting to 1');
-            this.counter = 1;
+    // Generate the next code for which `isTaken(code)` resolves false.
+    async generateCode(isTaken = async () => false) {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const code = this.encodeBase34(this.transformNumber(await this.nextNumber()));
+            if (!(await isTaken(code))) {
+                this.generated++;
+                return code;
+            }
+            this.skipped++;
+            log.warn('Skipping code already in use', { 'code': code });
         }
-        
-        const code = this.encodeBase34(this.counter);
-        this.counter++;
-        
-        // Save counter periodically or after each generation
-        await this.saveCounter(this.counter);
-        
-        return code;
+        throw new Error(`No free lobby code after ${MAX_ATTEMPTS} attempts`);
     }
 
     // Validate a code format
@@ -94,13 +111,13 @@ class SequentialCodeGenerator {
         if (typeof code !== 'string' || code.length !== this.CODE_LENGTH) {
             return false;
         }
-        
+
         for (let char of code) {
             if (this.ALPHABET.indexOf(char) === -1) {
                 return false;
             }
         }
-        
+
         return true;
     }
 
@@ -108,181 +125,49 @@ class SequentialCodeGenerator {
     getStats() {
         return {
             currentCounter: this.counter,
-            codesGenerated: this.counter - 1,
-            remainingCodes: this.MAX_CODES - this.counter,
-            percentageUsed: ((this.counter - 1) / this.MAX_CODES * 100).toFixed(4),
+            reservedUntil: this.reservedUntil,
+            codesGenerated: this.generated,
+            codesSkipped: this.skipped,
+            wrapArounds: Math.floor(this.counter / this.MAX_CODES),
+            percentageUsed: ((this.counter % this.MAX_CODES) / this.MAX_CODES * 100).toFixed(4),
             maxPossibleCodes: this.MAX_CODES
         };
     }
-
-    // Reset counter (admin function)
-    async resetCounter(startValue = 1) {
-        this.counter = startValue;
-        await this.saveCounter(this.counter);
-        console.log(`Counter reset to ${startValue}`);
-    }
 }
 
 // Enhanced version with better randomization
 class EnhancedSequentialCodeGenerator extends SequentialCodeGenerator {
-    constructor(seed = null) {
-        super();
-        
-        // Use a simple reversible transformation to make sequential codes appear random
-        // This is a basic Linear Congruential Generator for mixing
-        this.multiplier = 1103515245;  // LCG multiplier
-        this.increment = 12345;        // LCG increment
-        this.modulus = this.MAX_CODES; // Use max codes as modulus
-        
-        // Optional seed for deterministic "randomness"
-        this.seed = seed || Math.floor(Math.random() * 1000000);
-        console.log(`Enhanced generator initialized with seed: ${this.seed}`);
+    constructor(storage, seed = 0) {
+        super(storage);
+
+        // An affine map modulo MAX_CODES makes sequential codes appear random. It is a
+        // bijection because the multiplier is coprime to 34^6 = 2^6 * 17^6, so distinct
+        // counters always give distinct codes. BigInt, since the products exceed 2^53.
+        this.modulus = BigInt(this.MAX_CODES);
+        this.multiplier = 1103515245n;
+        this.increment = mod(12345n + BigInt(seed), this.modulus);
+
+        const { gcd, x } = extendedGcd(this.multiplier, this.modulus);
+        if (gcd !== 1n) {
+            throw new Error('Code multiplier must be coprime to the number of codes');
+        }
+        this.inverse = mod(x, this.modulus);
+        log.info('Enhanced generator initialized', { 'seed': seed });
     }
 
     // Apply reversible transformation to make sequential numbers appear random
     transformNumber(sequential) {
-        // Simple mixing function - makes sequential numbers appear random
-        // while still being reversible and collision-free
-        return ((sequential * this.multiplier + this.increment + this.seed) % this.modulus);
+        return Number(mod(BigInt(sequential) * this.multiplier + this.increment, this.modulus));
     }
 
     // Reverse the transformation (for debugging/validation)
     reverseTransform(transformed) {
-        // Calculate modular multiplicative inverse (simplified for this example)
-        // In production, use proper modular inverse calculation
-        let inverse = 1;
-        for (let i = 1; i < this.modulus; i++) {
-            if ((this.multiplier * i) % this.modulus === 1) {
-                inverse = i;
-                break;
-            }
-        }
-        return ((transformed - this.increment - this.seed) * inverse) % this.modulus;
-    }
-
-    // Generate code with randomization
-    async generateCode() {
-        if (this.counter >= this.MAX_CODES) {
-            console.warn('Code counter overflow, resetting to 1');
-            this.counter = 1;
-        }
-        
-        const sequential = this.counter;
-        const transformed = this.transformNumber(sequential);
-        const code = this.encodeBase34(transformed);
-        
-        this.counter++;
-        await this.saveCounter(this.counter);
-        
-        return code;
-    }
-}
-
-// Database-backed version for production
-class DatabaseSequentialCodeGenerator extends EnhancedSequentialCodeGenerator {
-    constructor(database, seed = null) {
-        super(seed);
-        this.db = database;
-    }
-
-    async loadCounter() {
-        try {
-            const result = await this.db.collection('counters').findOne({name: 'lobby_codes'});
-            return result ? result.value : 1;
-        } catch (error) {
-            console.error('Error loading counter from database:', error);
-            return 1;
-        }
-    }
-
-    async saveCounter(counter) {
-        try {
-            await this.db.collection('counters').updateOne(
-                {name: 'lobby_codes'}, 
-                {$set: {value: counter, lastUpdated: new Date()}}, 
-                {upsert: true}
-            );
-            this.counter = counter;
-        } catch (error) {
-            console.error('Error saving counter to database:', error);
-        }
+        return Number(mod((BigInt(transformed) - this.increment) * this.inverse, this.modulus));
     }
 }
 
 // Export for use in your WebSocket server
 module.exports = {
     SequentialCodeGenerator,
-    EnhancedSequentialCodeGenerator,
-    DatabaseSequentialCodeGenerator
+    EnhancedSequentialCodeGenerator
 };
-
-// Example usage:
-/*
-const { EnhancedSequentialCodeGenerator } = require('./sequential-code-generator');
-
-// In your WebSocket server initialization:
-const codeGenerator = new EnhancedSequentialCodeGenerator();
-
-// Replace the randomSecret function:
-function generateLobbyCode() {
-    return codeGenerator.generateCode();  // No await needed!
-}
-
-// Usage in joinLobby function:
-if (lobbyName === '') {
-    if (lobbies.size >= MAX_LOBBIES) {
-        throw new ProtoError(4000, STR_TOO_MANY_LOBBIES);
-    }
-    if (peer.lobby !== '') {
-        throw new ProtoError(4000, STR_ALREADY_IN_LOBBY);
-    }
-    
-    lobbyName = await generateLobbyCode(); // Instead of randomSecret()
-    lobbies.set(lobbyName, new Lobby(lobbyName, peer.id, mesh));
-    console.log(`Peer ${peer.id} created lobby ${lobbyName}`);
-    console.log(`Open lobbies: ${lobbies.size}`);
-}
-*/
-
-// Demo/Test function
-async function demonstrateCodeGeneration() {
-    console.log('\n=== Demonstrating Sequential Code Generation ===');
-    
-    const basicGenerator = new SequentialCodeGenerator();
-    const enhancedGenerator = new EnhancedSequentialCodeGenerator(12345);
-    
-    console.log('\nBasic Sequential Codes:');
-    for (let i = 0; i < 10; i++) {
-        const code = await basicGenerator.generateCode();
-        console.log(`${i + 1}: ${code} (decoded: ${basicGenerator.decodeBase34(code)})`);
-    }
-    
-    console.log('\nEnhanced Sequential Codes (appear random):');
-    for (let i = 0; i < 10; i++) {
-        const code = await enhancedGenerator.generateCode();
-        console.log(`${i + 1}: ${code}`);
-    }
-    
-    console.log('\nGenerator Statistics:');
-    console.log(enhancedGenerator.getStats());
-    
-    // Demonstrate collision-free nature
-    console.log('\n=== Collision Test ===');
-    const testGenerator = new EnhancedSequentialCodeGenerator(99999);
-    const generatedCodes = new Set();
-    let collisions = 0;
-    
-    for (let i = 0; i < 1000; i++) {
-        const code = await testGenerator.generateCode();
-        if (generatedCodes.has(code)) {
-            collisions++;
-        }
-        generatedCodes.add(code);
-    }
-    
-    console.log(`Generated 1000 codes, collisions: ${collisions}`);
-    console.log(`Unique codes: ${generatedCodes.size}`);
-}
-
-// Uncomment to run demonstration
-// demonstrateCodeGeneration();
\ No newline at end of file
@@ -1,20 +1,69 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
-const mysql = require('mysql2/promise');
+const http = require('http');
+const https = require('https');
+const util = require('util');
 const { EnhancedSequentialCodeGenerator } = require('./sequential_code_generator');
-const { safeQuery } = require('./sql');
-const codeGenerator = new EnhancedSequentialCodeGenerator();
+const { createStorage } = require('./storage');
+const { createAdminApi, AdminError } = require('./admin_api');
+const metrics = require('./metrics');
+const { TokenBucket, KeyedLimiter, FailureTracker } = require('./rate_limiter');
+const { createIceConfig } = require('./turn');
+const { createClusterBus } = require('./cluster_bus');
+const { config, reloadConfig } = require('./config');
+const { createCertificateWatcher } = require('./certificates');
+const { verifyToken, AuthError, MAX_USER_ID_LENGTH } = require('./auth');
+const { encodeState, decodeState, SaveCorruptError } = require('./save_codec');
+const logger = require('./logger');
 
-const MAX_SAVE_GAMES = 10000
-const MAX_PEERS = 4096;
-const MAX_LOBBIES = 1024*1024;
-const PORT = process.env.PORT || 5050;
+const log = logger.child({ 'module': 'server' });
+const storage = createStorage();
+const codeGenerator = new EnhancedSequentialCodeGenerator(storage, config.CODE_SEED);
+const iceConfig = createIceConfig();
+const bus = createClusterBus();
+
+const INSTANCE_ID = config.INSTANCE_ID || crypto.randomBytes(8).toString('hex');
 const ALFNUM = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ23456789';
 const CODE_LENGTH = 4;
 
-const NO_LOBBY_TIMEOUT = 1000;
-const SEAL_CLOSE_TIMEOUT = 10000;
-const PING_INTERVAL = 10000;
+const LOBBY_LIST_PAGE_SIZE = 20;
+const LOBBY_LIST_MAX_PAGE_SIZE = 100;
+const MAX_LOBBY_META_LENGTH = 64;
+const MAX_PASSWORD_LENGTH = 128;
+
+// Abuse protection, rates are messages per second.
+const FAILED_JOIN_WINDOW = 60000;
+const FAILED_JOIN_BAN = 300000;
+const RATE_LIMIT_SWEEP_INTERVAL = 60000;
+
+// Cluster coordination: lobby codes are claimed on the bus by the instance that
+// owns the lobby, and claims expire unless refreshed by its heartbeat.
+const CLUSTER_HEARTBEAT_INTERVAL = 15000;
+const CLUSTER_CLAIM_TTL = 45000;
+
+// Failed saved game writes are retried after SAVE_FLUSH_INTERVAL, doubling up to this.
+const MAX_FLUSH_BACKOFF = 300000;
+
+// Message size limits are in config.js, in bytes (characters for text messages). Violations close
+// the connection with CLOSE_MESSAGE_TOO_BIG, or 4000 for malformed payloads:
+//   STR_MESSAGE_TOO_LARGE     any JSON command over MAX_JSON_MESSAGE_SIZE
+//   STR_INVALID_SDP           OFFER/ANSWER without an SDP or over MAX_SDP_SIZE
+//   STR_INVALID_CANDIDATE     CANDIDATE that is not a candidate or over MAX_CANDIDATE_SIZE
+//   STR_RELAY_TOO_LARGE       RELAY payload over MAX_RELAY_SIZE
+//   STR_GAME_STATE_TOO_LARGE  binary game state over MAX_GAME_STATE_SIZE
+//   STR_GAME_STATE_QUOTA      lobby uploading more than GAME_STATE_QUOTA_RATE bytes/s
+//                             on average (bursts of GAME_STATE_QUOTA_BURST)
+const MAX_CHAT_LENGTH = 500;
+const CHAT_HISTORY_SIZE = 50;
+const MAX_LOGGED_MESSAGE = 100;
+
+const CLOSE_KICKED = 4001;
+const CLOSE_BANNED = 4002;
+const CLOSE_LOBBY_CLOSED = 4003;
+const CLOSE_RATE_LIMITED = 4004;
+const CLOSE_MESSAGE_TOO_BIG = 4005;
+const CLOSE_SERVER_RESTARTING = 4006;
+const CLOSE_UNAUTHORIZED = 4007;
 
 const STR_NO_LOBBY = 'Have not joined lobby yet';
 const STR_HOST_DISCONNECTED = 'Room host has disconnected';
@@ -33,6 +82,36 @@ const STR_TOO_MANY_PEERS = 'Too many peers connected';
 const STR_INVALID_TRANSFER_MODE = 'Invalid transfer mode, must be text';
 const STR_NEW_HOST = 'You are now the host';
 const STR_HOST_CHANGED = 'Host has changed';
+const STR_INVALID_RESUME_TOKEN = 'Invalid or expired resume token';
+const STR_INVALID_LOBBY_OPTIONS = 'Invalid lobby options';
+const STR_LOBBY_FULL = 'Lobby is full';
+const STR_WRONG_PASSWORD = 'Wrong password';
+const STR_ONLY_HOST_CAN_KICK = 'Only host can kick or ban peers';
+const STR_KICKED = 'Kicked by host';
+const STR_BANNED = 'Banned from lobby';
+const STR_INVALID_CHAT = 'Invalid chat message';
+const STR_LOBBY_CLOSED = 'Lobby closed by server';
+const STR_RATE_LIMITED = 'Rate limit exceeded';
+const STR_TOO_MANY_CONNECTIONS = 'Too many connections from this address';
+const STR_TOO_MANY_FAILED_JOINS = 'Too many failed joins, try again later';
+const STR_MESSAGE_TOO_LARGE = 'Message too large';
+const STR_INVALID_SDP = 'Invalid session description';
+const STR_INVALID_CANDIDATE = 'Invalid ICE candidate';
+const STR_RELAY_TOO_LARGE = 'Relay payload too large';
+const STR_GAME_STATE_TOO_LARGE = 'Game state too large';
+const STR_GAME_STATE_QUOTA = 'Game state upload quota exceeded';
+const STR_INVALID_CODE = 'Invalid lobby code';
+const STR_LOBBY_BUSY = 'Lobby is being restored elsewhere, try again';
+const STR_INSTANCE_GONE = 'Lobby server went away';
+const STR_SERVER_RESTARTING = 'Server restarting, try again shortly';
+const STR_INVALID_TOKEN = 'Invalid or expired token';
+const STR_AUTH_REQUIRED = 'Authentication required';
+const STR_NOT_SAVE_OWNER = 'Only the owner can restore this game';
+const STR_ONLY_HOST_CAN_DESIGNATE = 'Only host can designate a successor';
+const STR_DESIGNATION_DISABLED = 'Host-designated migration is disabled';
+const STR_ONLY_HOST_CAN_RESTORE = 'Only host can manage saved versions';
+const STR_UNKNOWN_VERSION = 'Unknown saved version';
+const STR_SAVE_CORRUPT = 'Saved game is corrupted and cannot be restored';
 
 const CMD = {
 	JOIN: 0,
@@ -46,157 +125,430 @@ const CMD = {
 	HOST_CHANGED: 8,
 	GAME_STATE: 9,
 	SAVE_GAME: 10,
+	RESUME: 11,
+	PEER_RECONNECTING: 12,
+	PEER_RECONNECTED: 13,
+	LIST_LOBBIES: 14,
+	KICK: 15,
+	BAN: 16,
+	RELAY: 17,
+	CHAT: 18,
+	ICE_SERVERS: 19,
+	SERVER_RESTARTING: 20,
+	SET_SUCCESSOR: 21,
+	LIST_SAVES: 22,
+	RESTORE_SAVE: 23,
 };
 
-/*
-const sql_pool = mysql.createPool({
-		host: 'rossunger.com',     // Your hosting DB hostname
-		user: process.env.DB_USER, // set these via env vars
-		password: process.env.DB_PASS,
-		database: process.env.DB_NAME,
-		waitForConnections: true,
-		connectionLimit: 5,
-		queueLimit: 0
-	});
-*/
+const RELAY_NAMES = {
+	[CMD.OFFER]: 'offer',
+	[CMD.ANSWER]: 'answer',
+	[CMD.CANDIDATE]: 'candidate',
+};
 
-async function backup_save_games() {	
+const counters = {
+	connectionsOpened: metrics.counter('signaling_connections_opened_total', 'WebSocket connections accepted'),
+	connectionsRejected: metrics.counter('signaling_connections_rejected_total', 'WebSocket connections refused because MAX_PEERS was reached'),
+	connectionsClosed: metrics.counter('signaling_connections_closed_total', 'WebSocket connections closed, by close code'),
+	lobbiesCreated: metrics.counter('signaling_lobbies_created_total', 'Lobbies created'),
+	lobbiesRestored: metrics.counter('signaling_lobbies_restored_total', 'Lobbies restored from a saved game'),
+	lobbiesRecovered: metrics.counter('signaling_lobbies_recovered_total', 'Lobbies live before a restart restored from their checkpoint'),
+	lobbiesSealed: metrics.counter('signaling_lobbies_sealed_total', 'Lobbies sealed by their host'),
+	hostMigrations: metrics.counter('signaling_host_migrations_total', 'Lobby hosts replaced after the host left'),
+	relayed: metrics.counter('signaling_relayed_messages_total', 'OFFER/ANSWER/CANDIDATE messages relayed, by type'),
+	protoErrors: metrics.counter('signaling_proto_errors_total', 'Connections closed because of a protocol error, by message'),
+	rateLimited: metrics.counter('signaling_rate_limited_total', 'Connections refused or closed by abuse protection, by reason'),
+	savesEvicted: metrics.counter('signaling_saves_evicted_total', 'Saved games moved from memory to storage to stay under MAX_SAVE_GAMES'),
+	savesExpired: metrics.counter('signaling_saves_expired_total', 'Saved games deleted after SAVE_TTL without use'),
+	saveWrites: metrics.counter('signaling_save_writes_total', 'Saved game writes to storage, by result'),
+	saveRollbacks: metrics.counter('signaling_save_rollbacks_total', 'Saved games rolled back to an earlier version'),
+	savesCorrupt: metrics.counter('signaling_saves_corrupt_total', 'Saved games refused on load because they failed verification'),
+};
+
+// Unpack a stored envelope into { gameState, uploader }.
+async function decodeSave(joinCode, envelope) {
 	try {
-		const placeholders = Array.from(gameStateDB.savedGames, () => "(?, ?)").join(", ");
-		const values = [];
-
-		for (const [code, state] of gameStateDB.savedGames) {
-			values.push(code, state);
-		}
-		//await sql_pool.query(
-		await safeQuery(		
-			`
-			INSERT INTO sessions (code, save_state)
-			VALUES ${placeholders}
-			ON DUPLICATE KEY UPDATE
-				save_state = VALUES(save_state),
-				updated_at = CURRENT_TIMESTAMP
-			`,
-			values
-		);
-		console.log(`💾 Backed up all saves to DB`);
+		const { state, uploader } = await decodeState(envelope);
+		return { gameState: state, uploader };
 	} catch (err) {
-		console.error("❌ DB backup failed. save error:", err);
+		counters.savesCorrupt.inc();
+		log.error('Saved game failed verification', { 'lobby': joinCode, 'err': err });
+		throw err;
 	}
 }
-let backup_save_games_interval = setInterval(backup_save_games
-, 76000000); // 1000 milliseconds = 1 second
 
-async function save_to_db(code, state) {
-	try {
-		//await sql_pool.query(
-		await safeQuery(
-		`INSERT INTO sessions (code, save_state)
-			VALUES (?, ?)
-			ON DUPLICATE KEY UPDATE 
-			save_state = VALUES(save_state),
-			updated_at = CURRENT_TIMESTAMP`,
-		[code, state]
-		);
-		console.log(`💾 Saved state for room ${code}`);
-	} catch (err) {
-		console.error("❌ DB save error:", err);
-	}
-}
-async function load_from_db(code){
-	try{ 
-		//const [rows] = await sql_pool.query({
-		const [rows] = await safeQuery(
-			"SELECT save_state FROM sessions WHERE code = ?",
-			[code]
-		);		
-		if (rozws.length === 0) return null;
-		const saveState = rows[0].save_state; // Buffer with your binary data
-		return saveState;
-	} catch (err) {
-		console.error("❌ DB load error:", err);
-	}	
-}
-	  
+// Outlives the Lobby object so bans also apply when a saved game is restored,
+// and goes with the saved game.
+const lobbyBans = new Map(); // lobby code -> Set of banned peer ids, user ids and IPs
 
-// Simple in-memory database for saved games
-// In production, replace this with your actual database
+// In-memory LRU cache of saved games, written behind to the configured storage backend.
+// Map iteration follows insertion order, so re-inserting an entry on every use
+// keeps the least recently used save first and eviction is O(1).
+// Saves not yet written are kept in `dirty` until they are, even once evicted.
+// Storage holds them compressed and checksummed, see save_codec.js.
 class GameStateDB {
-	constructor() {
+	constructor(backend) {
+		this.storage = backend;
 		this.savedGames = new Map();
+		this.dirty = new Map(); // code -> { gameState, owner, uploader, attempts, retryAt }
+		this.flushing = null;
+		this.flushStatus = {
+			'lastSuccess': null,
+			'lastFailure': null,
+			'lastError': null,
+			'written': 0,
+			'failed': 0,
+		};
+		this.cleanup = { 'running': null, 'lastRun': null };
 	}
 
-	async saveGame(joinCode, gameState) {
+	// Insert or move an entry to the most recently used end.
+	touch(joinCode, { gameState, owner, uploader }) {
+		this.savedGames.delete(joinCode);
+		this.savedGames.set(joinCode, {
+			gameState,
+			owner,
+			uploader,
+			timestamp: Date.now(),
+		});
+	}
+
+	// `owner` is the user id allowed to restore the game, null for anyone,
+	// `uploader` the id of the peer that sent the state, if known.
+	async saveGame(joinCode, gameState, owner = null, uploader = null) {
 		try {
-			this.savedGames.set(joinCode, {
+			this.touch(joinCode, { gameState, owner, uploader });
+			this.dirty.set(joinCode, {
 				gameState,
-				timestamp: Date.now()
+				owner,
+				uploader,
+				'attempts': 0,
+				'retryAt': 0,
 			});
-			this.saveOldestGameIfNeeded()
-			console.log(`Saved game state for lobby ${joinCode}`);
+			this.evictIfNeeded();
+			log.info('Saved game state', { 'lobby': joinCode });
 			return true;
 		} catch (error) {
-			console.error('Error saving game state:', error);
+			log.error('Error saving game state', { 'lobby': joinCode, 'err': error });
 			return false;
 		}
 	}
 
+	// Returns { gameState, owner, uploader }, or null. Throws SaveCorruptError
+	// for a stored state that fails verification.
 	async loadGame(joinCode) {
 		try {
 			const savedGame = this.savedGames.get(joinCode);
-			if (savedGame) {								
-				return savedGame.gameState;
-			}else{
-				let saveState = load_from_db(joinCode)
-				if (saveState){
-					this.savedGames.set(joinCode, saveState)
-					this.saveOldestGameIfNeeded()
-					return saveState				
-				}else{
-					console.log(`No game exists, even in db, for ${joinCode}`);
-				}
-				
+			if (savedGame) {
+				this.touch(joinCode, savedGame);
+				return { gameState: savedGame.gameState, owner: savedGame.owner, uploader: savedGame.uploader };
 			}
-			
-			return null;
+			let saved = this.dirty.get(joinCode);
+			if (!saved) {
+				const stored = await this.storage.load(joinCode);
+				saved = stored && {
+					...(await decodeSave(joinCode, stored.state)),
+					owner: stored.owner,
+				};
+			}
+			if (!saved) {
+				log.info('No saved game found', { 'lobby': joinCode });
+				return null;
+			}
+			this.touch(joinCode, saved);
+			this.evictIfNeeded();
+			return { gameState: saved.gameState, owner: saved.owner, uploader: saved.uploader };
 		} catch (error) {
-			console.error('Error loading game state:', error);
+			if (error instanceof SaveCorruptError) {
+				throw error;
+			}
+			log.error('Error loading game state', { 'lobby': joinCode, 'err': error });
 			return null;
 		}
 	}
 
 	async hasGame(joinCode) {
-		return this.savedGames.has(joinCode);
-	}
-	getOldestSave() {
-		let oldest_code = null;
-		let oldestTime = Infinity;	
-		for (const [key, value] of this.savedGames.entries()) {
-			if (value.timestamp < oldestTime) {
-				oldestTime = value.timestamp;
-				oldest_code = key;
+		return this.savedGames.has(joinCode) || this.dirty.has(joinCode) || this.storage.has(joinCode);
+	}
+
+	async listGames() {
+		const stored = await this.storage.list();
+		return Array.from(new Set([...this.savedGames.keys(), ...this.dirty.keys(), ...stored]));
+	}
+
+	async deleteGame(joinCode) {
+		// A write already under way must not bring the save back afterwards.
+		await this.flushing;
+		this.dirty.delete(joinCode);
+		const cached = this.savedGames.delete(joinCode);
+		const stored = await this.storage.delete(joinCode);
+		lobbyBans.delete(joinCode);
+		return cached || stored;
+	}
+
+	// Drop the least recently used saves while over capacity, unwritten ones stay dirty.
+	evictIfNeeded() {
+		while (this.savedGames.size > config.MAX_SAVE_GAMES) {
+			const code = this.savedGames.keys().next().value;
+			this.savedGames.delete(code);
+			counters.savesEvicted.inc();
+			log.debug('Evicted least recently used saved game', { 'lobby': code, 'dirty': this.dirty.has(code) });
+		}
+	}
+
+	/**
+	 * Write dirty saves to storage: one batch of SAVE_FLUSH_BATCH saves that are
+	 * due, or with `all` every dirty save, batch after batch and ignoring backoff.
+	 * A failed write stays dirty and is retried with exponential backoff.
+	 * Returns the number of saves written.
+	 */
+	async flush(all = false) {
+		if (this.flushing && !all) {
+			return 0; // The previous tick is still writing
+		}
+		await this.flushing;
+		const now = Date.now();
+		const due = Array.from(this.dirty).filter(([, entry]) => all || entry.retryAt <= now);
+		const batches = all ? due : due.slice(0, config.SAVE_FLUSH_BATCH);
+		this.flushing = this.writeBatches(batches);
+		try {
+			return await this.flushing;
+		} finally {
+			this.flushing = null;
+		}
+	}
+
+	async writeBatches(entries) {
+		if (entries.length === 0) {
+			return 0;
+		}
+		const batch = entries.slice(0, config.SAVE_FLUSH_BATCH);
+		const results = await Promise.all(batch.map(async ([code, entry]) => {
+			let envelope;
+			try {
+				envelope = await encodeState(entry.gameState, entry.uploader);
+				await this.storage.save(code, envelope, entry.owner);
+			} catch (err) {
+				entry.attempts++;
+				entry.retryAt = Date.now() + Math.min(config.SAVE_FLUSH_INTERVAL * (2 ** entry.attempts), MAX_FLUSH_BACKOFF);
+				this.flushStatus.lastFailure = Date.now();
+				this.flushStatus.lastError = err.message;
+				this.flushStatus.failed++;
+				counters.saveWrites.inc({ 'result': 'failed' });
+				log.warn('Saved game write failed, will retry', { 'lobby': code, 'attempts': entry.attempts, 'err': err });
+				return false;
+			}
+			// Saved again while being written: that newer state is still dirty.
+			if (this.dirty.get(code) === entry) {
+				this.dirty.delete(code);
 			}
+			this.flushStatus.lastSuccess = Date.now();
+			this.flushStatus.written++;
+			counters.saveWrites.inc({ 'result': 'ok' });
+			try {
+				await this.snapshot(code, envelope);
+			} catch (err) {
+				log.warn('Saved game snapshot failed', { 'lobby': code, 'err': err });
+			}
+			return true;
+		}));
+		const written = results.filter((ok) => ok).length;
+		return written + await this.writeBatches(entries.slice(batch.length));
+	}
+
+	// Keep a written state as a version too, at most one per SAVE_HISTORY_INTERVAL
+	// and the newest SAVE_HISTORY in all. `envelope` is the state as stored.
+	async snapshot(joinCode, envelope) {
+		if (config.SAVE_HISTORY === 0) {
+			return;
+		}
+		const versions = await this.storage.listVersions(joinCode);
+		const now = Date.now();
+		if (versions.length > 0 && now - versions[0].version < config.SAVE_HISTORY_INTERVAL) {
+			return;
+		}
+		// Versions are timestamps, kept unique and increasing.
+		const version = versions.length > 0 ? Math.max(now, versions[0].version + 1) : now;
+		await this.storage.saveVersion(joinCode, version, envelope);
+		await Promise.all(versions.slice(config.SAVE_HISTORY - 1)
+			.map((v) => this.storage.deleteVersion(joinCode, v.version)));
+	}
+
+	// Versions of a save, newest first.
+	async listVersions(joinCode) {
+		const versions = await this.storage.listVersions(joinCode);
+		return versions.map((v) => ({
+			'version': v.version,
+			'savedAt': new Date(v.version).toISOString(),
+			'size': v.size,
+		}));
+	}
+
+	// Owner of a save, without unpacking it, so even a corrupted one can be rolled back.
+	async ownerOf(joinCode) {
+		const save = this.savedGames.get(joinCode) || this.dirty.get(joinCode) || await this.storage.load(joinCode);
+		return save ? save.owner : null;
+	}
+
+	// Make a version the current save again. Returns { gameState, uploader }, or null
+	// if there is no such version. Throws SaveCorruptError if it fails verification.
+	async restoreVersion(joinCode, version, owner) {
+		const envelope = await this.storage.loadVersion(joinCode, version);
+		if (envelope === null) {
+			return null;
 		}
-		return oldest_code
+		const restored = await decodeSave(joinCode, envelope);
+		await this.saveGame(joinCode, restored.gameState, owner, restored.uploader);
+		return restored;
+	}
+
+	getFlushStatus() {
+		return {
+			'interval': config.SAVE_FLUSH_INTERVAL,
+			'batch': config.SAVE_FLUSH_BATCH,
+			'pending': this.dirty.size,
+			'retrying': Array.from(this.dirty.values()).filter((entry) => entry.attempts > 0).length,
+			'flushing': this.flushing !== null,
+			...this.flushStatus,
+		};
 	}
-	saveOldestGameIfNeeded(){
-		if (this.savedGames.size > MAX_SAVE_GAMES){
-			let oldest_code = this.getOldestSave()		
-			if (oldest_code !== null) {
-				let save_state = this.savedGames.get(oldest_code)
-				save_to_db(oldest_code, save_state.gameState)
-				this.savedGames.delete(oldest_code);		
+
+	/**
+	 * Delete saves unused for longer than SAVE_TTL, first from the cache and
+	 * then from storage, SAVE_CLEANUP_BATCH codes at a time. Saves for which
+	 * `inUse(code)` is true are kept and marked as used. Progress is in
+	 * `this.cleanup.running` and the result of the last run in `lastRun`.
+	 */
+	async purgeExpired(inUse) {
+		if (this.cleanup.running || config.SAVE_TTL === 0) {
+			return;
+		}
+		const run = {
+			'startedAt': Date.now(),
+			'finishedAt': null,
+			'scanned': 0,
+			'purged': 0,
+			'skipped': 0,
+			'errors': 0,
+		};
+		this.cleanup.running = run;
+		const cutoff = run.startedAt - config.SAVE_TTL;
+
+		const purge = async (code) => {
+			run.scanned++;
+			if (inUse(code) || this.savedGames.has(code) || this.dirty.has(code)) {
+				run.skipped++;
+				await this.storage.touch(code);
+				return;
 			}
-		}		
+			await this.storage.delete(code);
+			lobbyBans.delete(code);
+			run.purged++;
+			counters.savesExpired.inc();
+		};
+		const attempt = (code) => purge(code).then(() => true, (err) => {
+			run.errors++;
+			log.error('Expired saved game cleanup failed', { 'lobby': code, 'err': err });
+			return false;
+		});
+
+		// Least recently used first, so the expired entries are at the front.
+		const entries = Array.from(this.savedGames);
+		const fresh = entries.findIndex(([, save]) => save.timestamp >= cutoff);
+		const expired = entries.slice(0, fresh === -1 ? entries.length : fresh).map(([code]) => code);
+		expired.forEach((code) => {
+			if (!inUse(code) && !this.dirty.has(code)) {
+				this.savedGames.delete(code);
+			} else {
+				const save = this.savedGames.get(code);
+				this.touch(code, save);
+			}
+		});
+		await Promise.all(expired.map(attempt));
+
+		// Stop early on a batch that made no progress, it would only come back.
+		const nextBatch = async () => {
+			const codes = await this.storage.listExpired(cutoff, config.SAVE_CLEANUP_BATCH);
+			const done = await Promise.all(codes.map(attempt));
+			if (codes.length === config.SAVE_CLEANUP_BATCH && done.some((ok) => ok)) {
+				await nextBatch();
+			}
+		};
+		try {
+			await nextBatch();
+		} catch (err) {
+			run.errors++;
+			log.error('Listing expired saved games failed', { 'err': err });
+		}
+
+		run.finishedAt = Date.now();
+		this.cleanup.running = null;
+		this.cleanup.lastRun = run;
+		if (run.scanned > 0 || run.errors > 0) {
+			log.info('Expired saved games cleaned up', run);
+		} else {
+			log.debug('No expired saved games', run);
+		}
+	}
+
+	getCleanupStatus() {
+		return {
+			'ttl': config.SAVE_TTL,
+			'interval': config.SAVE_CLEANUP_INTERVAL,
+			'cached': this.savedGames.size,
+			'capacity': config.MAX_SAVE_GAMES,
+			'running': this.cleanup.running,
+			'lastRun': this.cleanup.lastRun,
+		};
 	}
 }
 
-const gameStateDB = new GameStateDB();
+const gameStateDB = new GameStateDB(storage);
 
 function randomId() {
 	return Math.abs(new Int32Array(crypto.randomBytes(4).buffer)[0]);
 }
 
+function randomToken() {
+	return crypto.randomBytes(16).toString('hex');
+}
+
+const scrypt = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+	const salt = crypto.randomBytes(16);
+	const hash = await scrypt(password, salt, 32);
+	return { salt, hash };
+}
+
+async function checkPassword(password, stored) {
+	const hash = await scrypt(password, stored.salt, 32);
+	return crypto.timingSafeEqual(hash, stored.hash);
+}
+
+
+// Log-safe summary of a client message, without the payload (SDP carries IP addresses).
+function summarizeMessage(message) {
+	if (typeof message !== 'string') {
+		return `<binary ${message.length} bytes>`;
+	}
+	try {
+		const json = JSON.parse(message);
+		if (json !== null && typeof json === 'object') {
+			return {
+				'type': json['type'],
+				'id': json['id'],
+				'dataLength': typeof json['data'] === 'string' ? json['data'].length : undefined,
+			};
+		}
+	} catch (e) {
+		// Not JSON, fall back to a truncated copy.
+	}
+	if (message.length > MAX_LOGGED_MESSAGE) {
+		return `${message.slice(0, MAX_LOGGED_MESSAGE)}... (${message.length} chars)`;
+	}
+	return message;
+}
 
 function ProtoMessage(type, id, data) {
 	return JSON.stringify({
@@ -206,9 +558,15 @@ function ProtoMessage(type, id, data) {
 	});
 }
 
-const wss = new WebSocket.Server({ port: PORT });
+// ICE servers with fresh TURN credentials, the client should ask again before `expires`.
+function IceServersMessage(peer) {
+	return ProtoMessage(CMD.ICE_SERVERS, 0, JSON.stringify(iceConfig.issue(peer.userId || peer.id)));
+}
 
-console.log("listening on ws://localhost:" + PORT);
+// PEER_CONNECT data: who the peer is, if it authenticated.
+function PeerIdentity(peer) {
+	return peer.userId ? JSON.stringify({ 'user': peer.userId, 'name': peer.name }) : '';
+}
 
 class ProtoError extends Error {
 	constructor(code, message) {
@@ -217,29 +575,131 @@ class ProtoError extends Error {
 	}
 }
 
+// Attach the identity from a signed token to `peer`.
+function authenticate(peer, token) {
+	let user;
+	try {
+		user = verifyToken(token, config.AUTH_SECRET);
+	} catch (e) {
+		if (!(e instanceof AuthError)) {
+			throw e;
+		}
+		log.info('Rejected token', { 'peer': peer.id, 'reason': e.message });
+		throw new ProtoError(CLOSE_UNAUTHORIZED, STR_INVALID_TOKEN);
+	}
+	peer.userId = user.id;
+	peer.name = user.name;
+}
+
 class Peer {
-	constructor(id, ws) {
+	constructor(id, ws, ip) {
 		this.id = id;
 		this.ws = ws;
+		this.ip = ip;
+		// Stable identity from a signed token, null for anonymous peers
+		this.userId = null;
+		this.name = '';
 		this.lobby = '';
+		// Presented by the client to take this peer's place after a dropped connection
+		this.resumeToken = randomToken();
+		this.resumeTimer = -1;
+		this.bucket = new TokenBucket(config.MSG_RATE_PER_SOCKET, config.MSG_BURST_PER_SOCKET);
+		this.rtt = null; // Last ping round trip in ms, for HOST_MIGRATION_POLICY=latency
+		this.timeout = -1;
 		// Close connection after 1 sec if client has not joined a lobby
+		this.armTimeout(config.NO_LOBBY_TIMEOUT);
+	}
+
+	armTimeout(delay) {
+		clearTimeout(this.timeout);
 		this.timeout = setTimeout(() => {
 			if (!this.lobby) {
-				ws.close(4000, STR_NO_LOBBY);
+				this.ws.close(4000, STR_NO_LOBBY);
 			}
-		}, NO_LOBBY_TIMEOUT);
+		}, delay);
+	}
+}
+
+// Bus keys and channels.
+function lobbyKey(code) {
+	return `lobby:${code}`;
+}
+
+function resumeKey(token) {
+	return `resume:${token}`;
+}
+
+function instanceKey(instance) {
+	return `instance:${instance}`;
+}
+
+// Every instance publishes its public lobbies here with each heartbeat, so
+// LIST_LOBBIES shows the whole cluster. Other instances' lobbies show up and
+// change with up to CLUSTER_HEARTBEAT_INTERVAL delay.
+const LISTINGS_CHANNEL = 'listings';
+const remoteListings = new Map(); // instance -> { listings, expires }
+
+// Binary frames travel over the bus as base64.
+function encodePayload(data) {
+	return typeof data === 'string' ? { 'data': data } : { 'binary': data.toString('base64') };
+}
+
+function decodePayload(msg) {
+	return msg.binary !== undefined ? Buffer.from(msg.binary, 'base64') : msg.data;
+}
+
+function busError(err) {
+	log.error('Cluster bus error', { 'err': err });
+}
+
+// Stands in for the WebSocket of a peer connected to another instance,
+// which relays everything to and from the real socket.
+class RemoteSocket {
+	constructor(instance, connection) {
+		this.instance = instance;
+		this.connection = connection; // Peer id on the other instance
+	}
+
+	send(data) {
+		bus.publish(instanceKey(this.instance), {
+			'kind': 'send',
+			'peer': this.connection,
+			...encodePayload(data),
+		}).catch(busError);
+	}
+
+	close(code, reason) {
+		bus.publish(instanceKey(this.instance), {
+			'kind': 'close',
+			'peer': this.connection,
+			'code': code,
+			'reason': reason,
+		}).catch(busError);
 	}
 }
 
 class Lobby {
-	constructor(name, host, mesh) {
+	constructor(name, host, mesh, options = {}) {
 		this.name = name;
 		this.host = host;
 		this.mesh = mesh;
+		this.public = options.public === true;
+		this.meta = options.meta || {}; // Host-supplied name, mode and region
+		this.maxPlayers = options.maxPlayers || 0; // 0 means no limit
+		this.password = options.password || null; // Salted scrypt hash
 		this.peers = [];
 		this.sealed = false;
 		this.closeTimer = -1;
 		this.gameState = null; // Store current game state
+		this.checkpointed = null; // gameState last saved by autosave
+		this.uploader = null; // Peer id that uploaded gameState
+		this.owner = null; // User id allowed to restore the saved game, null for anyone
+		this.successor = null; // Peer id designated by the host to take over
+		this.chatHistory = []; // Last CHAT_HISTORY_SIZE messages, replayed to joiners
+		this.stateQuota = new TokenBucket(
+			config.GAME_STATE_QUOTA_RATE,
+			Math.max(config.GAME_STATE_QUOTA_BURST, 2 * config.MAX_GAME_STATE_SIZE)
+		);
 	}
 
 	getPeerId(peer) {
@@ -249,17 +709,103 @@ class Lobby {
 		return peer.id;
 	}
 
+	// Find a peer by the id other peers know it by (1 is the host).
+	findPeer(id) {
+		const destId = id === 1 ? this.host : id;
+		return this.peers.find((p) => p.id === destId);
+	}
+
 	join(peer) {
 		const assigned = this.getPeerId(peer);
 		peer.ws.send(ProtoMessage(CMD.ID, assigned, this.mesh ? 'true' : ''));
+		peer.ws.send(ProtoMessage(CMD.RESUME, assigned, peer.resumeToken));
+		if (!iceConfig.isEmpty()) {
+			peer.ws.send(IceServersMessage(peer));
+		}
 		this.peers.forEach((p) => {
-			p.ws.send(ProtoMessage(CMD.PEER_CONNECT, assigned));
-			peer.ws.send(ProtoMessage(CMD.PEER_CONNECT, this.getPeerId(p)));
+			p.ws.send(ProtoMessage(CMD.PEER_CONNECT, assigned, PeerIdentity(peer)));
+			peer.ws.send(ProtoMessage(CMD.PEER_CONNECT, this.getPeerId(p), PeerIdentity(p)));
 		});
 		this.peers.push(peer);
+		this.chatHistory.forEach((entry) => {
+			const from = entry.from === this.host ? 1 : entry.from;
+			peer.ws.send(ProtoMessage(CMD.CHAT, from, JSON.stringify({ 'text': entry.text, 'time': entry.time })));
+		});
+	}
+
+	// Relay to one peer, to the host (1) or to every other peer (0).
+	relay(peer, destId, type, data) {
+		const msg = ProtoMessage(type, this.getPeerId(peer), data);
+		if (destId === 0) {
+			this.peers.forEach((p) => {
+				if (p !== peer) {
+					p.ws.send(msg);
+				}
+			});
+			return;
+		}
+		const dest = this.findPeer(destId);
+		if (!dest) {
+			throw new ProtoError(4000, STR_INVALID_DEST);
+		}
+		dest.ws.send(msg);
+	}
+
+	chat(peer, text) {
+		const entry = { from: peer.id, text, time: Date.now() };
+		this.chatHistory.push(entry);
+		if (this.chatHistory.length > CHAT_HISTORY_SIZE) {
+			this.chatHistory.shift();
+		}
+		const msg = ProtoMessage(CMD.CHAT, this.getPeerId(peer), JSON.stringify({ 'text': text, 'time': entry.time }));
+		this.peers.forEach((p) => {
+			p.ws.send(msg);
+		});
+	}
+
+	suspend(peer) {
+		const assigned = this.getPeerId(peer);
+		this.peers.forEach((p) => {
+			if (p !== peer) {
+				p.ws.send(ProtoMessage(CMD.PEER_RECONNECTING, assigned));
+			}
+		});
+	}
+
+	// Put a new connection in place of a suspended peer, keeping its id and host role.
+	resume(old, peer) {
+		const idx = this.peers.indexOf(old);
+		if (idx === -1) {
+			return false;
+		}
+		peer.id = old.id;
+		this.peers[idx] = peer;
+		const assigned = this.getPeerId(peer);
+		peer.ws.send(ProtoMessage(CMD.ID, assigned, this.mesh ? 'true' : ''));
+		peer.ws.send(ProtoMessage(CMD.RESUME, assigned, peer.resumeToken));
+		if (!iceConfig.isEmpty()) {
+			peer.ws.send(IceServersMessage(peer));
+		}
+		this.peers.forEach((p) => {
+			if (p !== peer) {
+				p.ws.send(ProtoMessage(CMD.PEER_RECONNECTED, assigned));
+				peer.ws.send(ProtoMessage(CMD.PEER_CONNECT, this.getPeerId(p), PeerIdentity(p)));
+			}
+		});
+		return true;
+	}
+
+	// No peers left - save game state to database
+	async saveWhenEmpty() {
+		if (this.gameState) {
+			await gameStateDB.saveGame(this.name, this.gameState, this.owner, this.uploader);
+			log.info('Saved game state for empty lobby', { 'lobby': this.name });
+		}
 	}
 
-	async leave(peer) {
+	// While shutting down every peer is on its way out, so nobody is told or
+	// migrated to, and the lobby closes once the last one is gone.
+	async leave(peer, shuttingDown = false) {
 		const idx = this.peers.findIndex((p) => peer === p);
 		if (idx === -1) {
 			return false;
@@ -269,35 +815,29 @@ class Lobby {
 		
 		// Remove peer first
 		this.peers.splice(idx, 1);
+
+		if (shuttingDown) {
+			if (this.peers.length > 0) {
+				return false;
+			}
+			await this.saveWhenEmpty();
+			return true;
+		}
 		
 		if (wasHost) {
 			// Host left - handle host migration or lobby closure
 			if (this.peers.length === 0) {
-				// No peers left - save game state to database
-				if (this.gameState) {
-					await gameStateDB.saveGame(this.name, this.gameState);
-					console.log(`Saved game state for empty lobby ${this.name}`);
-				}
+				await this.saveWhenEmpty();
 				return true; // Close lobby
 			} else {
-				// Migrate host to first remaining peer
-				const newHost = this.peers[0];
-				this.host = newHost.id;
-				
-				// Notify new host
-				newHost.ws.send(ProtoMessage(CMD.HOST_CHANGED, 1, STR_NEW_HOST));
-				
-				// Notify all other peers about host change
-				// this.peers.slice(1).forEach((p) => {
-				// 	p.ws.send(ProtoMessage(CMD.HOST_CHANGED, this.getPeerId(newHost), STR_HOST_CHANGED));
-				// });
-				
-				console.log(`Host migrated from ${peer.id} to ${newHost.id} in lobby ${this.name}`);
-				
+				this.migrateHost(peer);
 				// Don't close lobby
 				return false;
 			}
 		} else {
+			if (this.successor === peer.id) {
+				this.successor = null;
+			}
 			// Regular peer left - notify remaining peers
 			this.peers.forEach((p) => {
 				p.ws.send(ProtoMessage(CMD.PEER_DISCONNECT, assigned));
@@ -306,28 +846,123 @@ class Lobby {
 		}
 	}
 
+	// The peer taking over from the host, by HOST_MIGRATION_POLICY:
+	//   longest     the peer in the lobby for the longest time
+	//   latency     the peer with the lowest ping round trip
+	//   designated  the peer picked by the host with SET_SUCCESSOR
+	// Connected peers go before those waiting to resume, and the last two
+	// policies fall back to the first when they have nobody to pick.
+	chooseSuccessor() {
+		const connected = this.peers.filter((p) => p.resumeTimer === -1);
+		const candidates = connected.length > 0 ? connected : this.peers;
+		if (config.HOST_MIGRATION_POLICY === 'designated') {
+			const designated = candidates.find((p) => p.id === this.successor);
+			if (designated) {
+				return designated;
+			}
+		} else if (config.HOST_MIGRATION_POLICY === 'latency') {
+			const measured = candidates.filter((p) => p.rtt !== null);
+			if (measured.length > 0) {
+				return measured.reduce((best, p) => (p.rtt < best.rtt ? p : best));
+			}
+		}
+		// Peers are kept in join order.
+		return candidates[0];
+	}
+
+	// The old host is gone (PEER_DISCONNECT 1), then HOST_CHANGED carries the
+	// new host's previous id, or 1 for the new host itself, and both real ids.
+	// The new host also gets the last uploaded game state to carry on from.
+	migrateHost(oldHost) {
+		const newHost = this.chooseSuccessor();
+		const previousId = newHost.id;
+		this.host = newHost.id;
+		this.successor = null;
+		counters.hostMigrations.inc();
+		this.peers.forEach((p) => {
+			const isNewHost = p === newHost;
+			p.ws.send(ProtoMessage(CMD.PEER_DISCONNECT, 1));
+			p.ws.send(ProtoMessage(CMD.HOST_CHANGED, isNewHost ? 1 : previousId, JSON.stringify({
+				'oldHost': oldHost.id,
+				'newHost': newHost.id,
+				'message': isNewHost ? STR_NEW_HOST : STR_HOST_CHANGED,
+			})));
+		});
+		if (this.gameState) {
+			newHost.ws.send(this.gameState, { binary: true });
+		}
+		log.info('Host migrated', {
+			'lobby': this.name,
+			'from': oldHost.id,
+			'to': newHost.id,
+			'policy': config.HOST_MIGRATION_POLICY,
+			'gameState': this.gameState !== null,
+		});
+	}
+
 	seal(peer) {
 		// Only host can seal
 		if (peer.id !== this.host) {
 			throw new ProtoError(4000, STR_ONLY_HOST_CAN_SEAL);
 		}
 		this.sealed = true;
+		counters.lobbiesSealed.inc();
 		this.peers.forEach((p) => {
 			p.ws.send(ProtoMessage(CMD.SEAL, 0));
 		});
-		console.log(`Peer ${peer.id} sealed lobby ${this.name} `
-			+ `with ${this.peers.length} peers`);
+		log.info('Lobby sealed', { 'lobby': this.name, 'peer': peer.id, 'peers': this.peers.length });
 		this.closeTimer = setTimeout(() => {
 			// Close peer connection to host (and thus the lobby)
 			this.peers.forEach((p) => {
 				p.ws.close(1000, STR_SEAL_COMPLETE);
 			});
-		}, SEAL_CLOSE_TIMEOUT);
+		}, config.SEAL_CLOSE_TIMEOUT);
 	}
 
-	updateGameState(gameState) {
+	updateGameState(gameState, uploader) {
 		this.gameState = gameState;
-		console.log(`Updated game state for lobby ${this.name}`);
+		this.uploader = uploader;
+		log.debug('Updated game state', { 'lobby': this.name, 'bytes': gameState.length });
+	}
+
+	// Entry shown to other players in the lobby browser.
+	getListing() {
+		return {
+			'code': this.name,
+			'name': this.meta.name || '',
+			'mode': this.meta.mode || '',
+			'region': this.meta.region || '',
+			'maxPlayers': this.maxPlayers,
+			'peers': this.peers.length,
+			'locked': this.password !== null,
+		};
+	}
+
+	// Full state for the admin API.
+	getInfo() {
+		return {
+			'code': this.name,
+			'host': this.host,
+			'mesh': this.mesh,
+			'sealed': this.sealed,
+			'public': this.public,
+			'meta': this.meta,
+			'maxPlayers': this.maxPlayers,
+			'locked': this.password !== null,
+			'hasGameState': this.gameState !== null,
+			'owner': this.owner,
+			'peers': this.peers.map((p) => ({
+				'id': p.id,
+				'user': p.userId,
+				'name': p.name,
+				'ip': p.ip,
+				'connected': p.resumeTimer === -1,
+			})),
+		};
+	}
+
+	isFull() {
+		return this.maxPlayers > 0 && this.peers.length >= this.maxPlayers;
 	}
 
 	getHost() {
@@ -336,48 +971,256 @@ class Lobby {
 }
 
 const lobbies = new Map();
+const suspendedPeers = new Map(); // resume token -> Peer
+const remotePeers = new Map(); // "instance:peer id" -> Peer in our lobbies, connected elsewhere
+const proxiedPeers = new Map(); // peer id -> local Peer whose lobby lives on another instance
+const recoverableLobbies = new Set(); // Codes live before the restart with a checkpoint, not rejoined yet
+let draining = false;
 let peersCount = 0;
+const connectionsPerIp = new Map(); // ip -> open connections
+const ipMessageLimiter = new KeyedLimiter(config.MSG_RATE_PER_IP, config.MSG_BURST_PER_IP);
+// Failed joins and resumes are how lobby codes get brute-forced.
+const failedJoins = new FailureTracker(config.MAX_FAILED_JOINS, FAILED_JOIN_WINDOW, FAILED_JOIN_BAN);
+const JOIN_FAILURES = new Set([STR_INVALID_CODE, STR_LOBBY_DOES_NOT_EXISTS, STR_WRONG_PASSWORD, STR_INVALID_RESUME_TOKEN]);
+
+metrics.gauge('signaling_peers', 'Connected peers', () => peersCount);
+metrics.gauge('signaling_lobbies', 'Open lobbies', () => lobbies.size);
+metrics.gauge('signaling_saved_games_in_memory', 'Saved games held in memory', () => gameStateDB.savedGames.size);
+
+function banPeer(code, peer) {
+	if (!lobbyBans.has(code)) {
+		lobbyBans.set(code, new Set());
+	}
+	const bans = lobbyBans.get(code);
+	bans.add(`id:${peer.id}`);
+	// Peer ids change on every connection, user ids follow the token. Only
+	// anonymous peers are banned by address, which NAT and proxies share.
+	if (peer.userId !== null) {
+		bans.add(`user:${peer.userId}`);
+	} else {
+		bans.add(`ip:${peer.ip}`);
+	}
+}
+
+// With `trustIp`, for the lobby's host or owner, address bans do not apply.
+function isBanned(code, peer, trustIp = false) {
+	const bans = lobbyBans.get(code);
+	if (!bans) {
+		return false;
+	}
+	if (bans.has(`id:${peer.id}`) || (peer.userId !== null && bans.has(`user:${peer.userId}`))) {
+		return true;
+	}
+	return !trustIp && bans.has(`ip:${peer.ip}`);
+}
+
+// JOIN data is either a lobby code, or a JSON object holding the code
+// ("lobby", empty to create one), the lobby password, and the options for
+// a newly created lobby.
+function parseJoinData(data) {
+	if (!data.startsWith('{')) {
+		return { lobby: data, token: '', options: {} };
+	}
+	let json = null;
+	try {
+		json = JSON.parse(data);
+	} catch (e) {
+		throw new ProtoError(4000, STR_INVALID_FORMAT);
+	}
+	if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+		throw new ProtoError(4000, STR_INVALID_FORMAT);
+	}
+	const meta = {};
+	['name', 'mode', 'region'].forEach((key) => {
+		if (json[key] === undefined) {
+			return;
+		}
+		if (typeof json[key] !== 'string' || json[key].length > MAX_LOBBY_META_LENGTH) {
+			throw new ProtoError(4000, STR_INVALID_LOBBY_OPTIONS);
+		}
+		meta[key] = json[key];
+	});
+	if (json['maxPlayers'] !== undefined) {
+		if (!Number.isInteger(json['maxPlayers']) || json['maxPlayers'] < 1 || json['maxPlayers'] > config.MAX_PEERS) {
+			throw new ProtoError(4000, STR_INVALID_LOBBY_OPTIONS);
+		}
+	}
+	if (json['token'] !== undefined && typeof json['token'] !== 'string') {
+		throw new ProtoError(4000, STR_INVALID_FORMAT);
+	}
+	let password = '';
+	if (json['password'] !== undefined) {
+		if (typeof json['password'] !== 'string' || json['password'].length > MAX_PASSWORD_LENGTH) {
+			throw new ProtoError(4000, STR_INVALID_LOBBY_OPTIONS);
+		}
+		password = json['password'];
+	}
+	return {
+		lobby: typeof json['lobby'] === 'string' ? json['lobby'] : '',
+		token: json['token'] || '',
+		options: {
+			public: json['public'] === true,
+			meta,
+			maxPlayers: json['maxPlayers'] || 0,
+			password,
+		},
+	};
+}
+
+// Listings of this instance's public lobbies.
+function localListings() {
+	return Array.from(lobbies.values())
+		.filter((lobby) => lobby.public && !lobby.sealed)
+		.map((lobby) => lobby.getListing());
+}
+
+// Open, unsealed public lobbies matching the filter, one page at a time.
+function listLobbies(filter) {
+	const name = typeof filter['name'] === 'string' ? filter['name'].toLowerCase() : '';
+	const matches = [];
+	const listings = localListings();
+	const now = Date.now();
+	remoteListings.forEach((remote) => {
+		if (remote.expires > now) {
+			listings.push(...remote.listings);
+		}
+	});
+	listings.forEach((listing) => {
+		if (typeof filter['mode'] === 'string' && listing.mode !== filter['mode']) {
+			return;
+		}
+		if (typeof filter['region'] === 'string' && listing.region !== filter['region']) {
+			return;
+		}
+		if (name && !listing.name.toLowerCase().includes(name)) {
+			return;
+		}
+		if (filter['notFull'] === true && listing.maxPlayers && listing.peers >= listing.maxPlayers) {
+			return;
+		}
+		matches.push(listing);
+	});
+	const page = Number.isInteger(filter['page']) && filter['page'] > 0 ? filter['page'] : 0;
+	const pageSize = Number.isInteger(filter['pageSize']) && filter['pageSize'] > 0
+		? Math.min(filter['pageSize'], LOBBY_LIST_MAX_PAGE_SIZE) : LOBBY_LIST_PAGE_SIZE;
+	return {
+		'lobbies': matches.slice(page * pageSize, (page + 1) * pageSize),
+		'page': page,
+		'pageSize': pageSize,
+		'total': matches.length,
+	};
+}
 
-async function joinLobby(peer, pLobby, mesh) {
+// Options for a lobby created by this peer, with the password hashed.
+async function creationOptions(options) {
+	return {
+		...options,
+		password: options.password ? await hashPassword(options.password) : null,
+	};
+}
+
+// Generate a code that is not a live lobby on any instance nor a saved game, and own it.
+async function claimNewCode() {
+	try {
+		return await codeGenerator.generateCode(async (code) => lobbies.has(code)
+			|| await gameStateDB.hasGame(code)
+			|| !(await bus.claim(lobbyKey(code), INSTANCE_ID, CLUSTER_CLAIM_TTL)));
+	} catch (err) {
+		log.error('Lobby code generation failed', { 'err': err });
+		throw new ProtoError(4000, STR_SERVER_ERROR);
+	}
+}
+
+function dropLobby(code) {
+	lobbies.delete(code);
+	bus.release(lobbyKey(code), INSTANCE_ID).catch(busError);
+}
+
+// Like gameStateDB.loadGame, but a corrupted save is a protocol error.
+async function loadSavedGame(code) {
+	try {
+		return await gameStateDB.loadGame(code);
+	} catch (err) {
+		if (err instanceof SaveCorruptError) {
+			throw new ProtoError(4000, STR_SAVE_CORRUPT);
+		}
+		throw err;
+	}
+}
+
+async function joinLobby(peer, pLobby, mesh, options = {}) {
 	let lobbyName = pLobby.toUpperCase();
 	let isRestoredGame = false;
 	let savedGameState = null;	
 	
 	if (lobbyName === '') { 
-		if (lobbies.size >= MAX_LOBBIES) {
+		if (lobbies.size >= config.MAX_LOBBIES) {
 			throw new ProtoError(4000, STR_TOO_MANY_LOBBIES);
 		}
 		// Peer must not already be in a lobby
 		if (peer.lobby !== '') {
 			throw new ProtoError(4000, STR_ALREADY_IN_LOBBY);
 		}
-		lobbyName = await codeGenerator.generateCode(); // randomSecret();
-		console.log(`generated lobby name: ${lobbyName}`)
-		lobbies.set(lobbyName, new Lobby(lobbyName, peer.id, mesh));
-		console.log(`Peer ${peer.id} created lobby ${lobbyName}`);
-		console.log(`Open lobbies: ${lobbies.size}`);
+		lobbyName = await claimNewCode();
+		const lobby = new Lobby(lobbyName, peer.id, mesh, await creationOptions(options));
+		lobby.owner = peer.userId;
+		lobbies.set(lobbyName, lobby);
+		log.info('Lobby created', { 'lobby': lobbyName, 'peer': peer.id, 'lobbies': lobbies.size });
+		counters.lobbiesCreated.inc();
 	} else {
+		if (!codeGenerator.isValidCode(lobbyName)) {
+			throw new ProtoError(4000, STR_INVALID_CODE);
+		}
 		let lobby = lobbies.get(lobbyName);
+		if (lobby && isBanned(lobbyName, peer, peer.userId !== null && peer.userId === lobby.owner)) {
+			throw new ProtoError(CLOSE_BANNED, STR_BANNED);
+		}
 		if (!lobby) {				
 			// Check if this is a saved game
-			savedGameState = await gameStateDB.loadGame(lobbyName);
-			if (savedGameState) {
+			const saved = await loadSavedGame(lobbyName);
+			if (saved) {
+				if (saved.owner !== null && saved.owner !== peer.userId) {
+					throw new ProtoError(4000, STR_NOT_SAVE_OWNER);
+				}
+				// Whoever restores the game becomes its host.
+				if (isBanned(lobbyName, peer, true)) {
+					throw new ProtoError(CLOSE_BANNED, STR_BANNED);
+				}
+				savedGameState = saved.gameState;
 				isRestoredGame = true;
 				// Create new lobby with this peer as host
 				if (peer.lobby !== '') {
 					throw new ProtoError(4000, STR_ALREADY_IN_LOBBY);
 				}
-				lobby = new Lobby(lobbyName, peer.id, mesh);
+				if (!(await bus.claim(lobbyKey(lobbyName), INSTANCE_ID, CLUSTER_CLAIM_TTL))) {
+					throw new ProtoError(4000, STR_LOBBY_BUSY);
+				}
+				lobby = new Lobby(lobbyName, peer.id, mesh, await creationOptions(options));
 				lobby.gameState = savedGameState;
+				lobby.checkpointed = savedGameState;
+				lobby.owner = saved.owner;
+				lobby.uploader = saved.uploader;
 				lobbies.set(lobbyName, lobby);
-				console.log(`Peer ${peer.id} restored lobby ${lobbyName} from saved game`);
+				log.info('Lobby restored from saved game', { 'lobby': lobbyName, 'peer': peer.id });
+				counters.lobbiesRestored.inc();
+				if (recoverableLobbies.delete(lobbyName)) {
+					log.info('Lobby recovered after restart', { 'lobby': lobbyName });
+					counters.lobbiesRecovered.inc();
+				}
 			}else{
 				throw new ProtoError(4000, STR_LOBBY_DOES_NOT_EXISTS);
 			}
 		} 													
+		// Checked first so the other checks see the lobby as it is after the await.
+		if (lobby.password && !isRestoredGame && !(await checkPassword(options.password || '', lobby.password))) {
+			throw new ProtoError(4000, STR_WRONG_PASSWORD);
+		}
 		if (lobby.sealed) {
 			throw new ProtoError(4000, STR_LOBBY_IS_SEALED);
 		}		
+		if (lobby.isFull()) {
+			throw new ProtoError(4000, STR_LOBBY_FULL);
+		}
 	}
 	
 	const lobby = lobbies.get(lobbyName);
@@ -386,31 +1229,325 @@ async function joinLobby(peer, pLobby, mesh) {
 	}
 	
 	peer.lobby = lobbyName;
-	console.log(`Peer ${peer.id} joining lobby ${lobbyName} with ${lobby.peers.length} peers`);
+	log.info('Peer joining lobby', { 'lobby': lobbyName, 'peer': peer.id, 'peers': lobby.peers.length });
 	lobby.join(peer);
 	peer.ws.send(ProtoMessage(CMD.JOIN, 0, lobbyName));
 	
 	// If this is a restored game, send the game state to the new host
 	if (isRestoredGame && savedGameState) {
 		peer.ws.send( savedGameState, { binary: true } );
-		console.log(`Sent saved game state to new host ${peer.id}`);
+		log.info('Sent saved game state to new host', { 'lobby': lobbyName, 'peer': peer.id });
 	}
 }
 
-async function parseMsg(peer, msg) {
-	if (typeof msg !== 'string') {
-		// Game state saving (only host can save)		
-		let lobby = lobbies.get(peer.lobby)
-		if (peer.id !== lobby.host) {
-			throw new ProtoError(4000, 'Only host can save game state');
+async function leaveLobby(peer) {
+	if (peer.lobby && lobbies.has(peer.lobby)) {
+		const lobby = lobbies.get(peer.lobby);
+		const shouldClose = await lobby.leave(peer, draining);
+		if (shouldClose) {
+			// Without a saved game the code can never be reused, so neither can its bans.
+			if (!lobby.gameState) {
+				lobbyBans.delete(lobby.name);
+			}
+			dropLobby(peer.lobby);
+			log.info('Lobby deleted', { 'lobby': peer.lobby, 'lobbies': lobbies.size });
 		}
-		try {			
-			lobby.updateGameState(msg);			
-		} catch (e) {
+		peer.lobby = '';
+	}
+}
+
+// Keep a dropped peer in its lobby for a grace period so it can resume.
+function suspendPeer(peer, lobby) {
+	suspendedPeers.set(peer.resumeToken, peer);
+	bus.claim(resumeKey(peer.resumeToken), INSTANCE_ID, config.RESUME_GRACE_TIMEOUT).catch(busError);
+	lobby.suspend(peer);
+	log.info('Peer suspended, waiting for resume', { 'lobby': lobby.name, 'peer': peer.id });
+	peer.resumeTimer = setTimeout(async () => {
+		suspendedPeers.delete(peer.resumeToken);
+		bus.release(resumeKey(peer.resumeToken), INSTANCE_ID).catch(busError);
+		peer.resumeTimer = -1;
+		log.info('Peer did not resume in time', { 'lobby': peer.lobby, 'peer': peer.id });
+		await leaveLobby(peer);
+	}, config.RESUME_GRACE_TIMEOUT);
+}
+
+// Remove a peer from its lobby for good, whether connected or waiting to resume.
+async function removePeer(peer, code, reason) {
+	if (peer.resumeTimer !== -1) {
+		clearTimeout(peer.resumeTimer);
+		peer.resumeTimer = -1;
+		suspendedPeers.delete(peer.resumeToken);
+		bus.release(resumeKey(peer.resumeToken), INSTANCE_ID).catch(busError);
+	}
+	await leaveLobby(peer);
+	peer.ws.close(code, reason);
+}
+
+async function kickPeer(lobby, peer, targetId, ban) {
+	if (peer.id !== lobby.host) {
+		throw new ProtoError(4000, STR_ONLY_HOST_CAN_KICK);
+	}
+	const target = lobby.peers.find((p) => p.id === targetId);
+	if (!target || target === peer) {
+		throw new ProtoError(4000, STR_INVALID_DEST);
+	}
+	if (ban) {
+		banPeer(lobby.name, target);
+	}
+	log.info(ban ? 'Peer banned' : 'Peer kicked', { 'lobby': lobby.name, 'peer': peer.id, 'target': target.id });
+	await removePeer(target, ban ? CLOSE_BANNED : CLOSE_KICKED, ban ? STR_BANNED : STR_KICKED);
+}
+
+// Disconnect everyone, the host last so the lobby closes instead of migrating.
+async function closeLobby(code) {
+	const lobby = lobbies.get(code);
+	if (!lobby) {
+		return false;
+	}
+	const host = lobby.getHost();
+	await Promise.all(lobby.peers.filter((p) => p !== host)
+		.map((p) => removePeer(p, CLOSE_LOBBY_CLOSED, STR_LOBBY_CLOSED)));
+	if (host) {
+		await removePeer(host, CLOSE_LOBBY_CLOSED, STR_LOBBY_CLOSED);
+	}
+	dropLobby(code);
+	log.info('Lobby closed by admin', { 'lobby': code });
+	return { 'closed': code };
+}
+
+// Roll a saved game back to one of its versions. A live lobby takes the state
+// over at once and its host is sent RESTORE_SAVE followed by the binary state.
+// Throws SaveCorruptError if the version fails verification.
+async function rollbackSave(code, version) {
+	const owner = lobbies.has(code) ? lobbies.get(code).owner : await gameStateDB.ownerOf(code);
+	const restored = await gameStateDB.restoreVersion(code, version, owner);
+	if (restored === null) {
+		return false;
+	}
+	const lobby = lobbies.get(code);
+	if (lobby) {
+		lobby.gameState = restored.gameState;
+		lobby.checkpointed = restored.gameState;
+		lobby.uploader = restored.uploader;
+		const host = lobby.getHost();
+		if (host) {
+			host.ws.send(ProtoMessage(CMD.RESTORE_SAVE, 0, String(version)));
+			host.ws.send(restored.gameState, { binary: true });
+		}
+	}
+	log.info('Saved game rolled back', { 'lobby': code, 'version': version, 'live': Boolean(lobby) });
+	counters.saveRollbacks.inc();
+	return true;
+}
+
+// Save files, for the admin export and import, are JSON documents:
+//   { "format": 1, "code", "owner", "uploader", "live", "exportedAt", "size", "sha256", "state" }
+// with the state in base64. Only format and state are needed for an import, and
+// a sha256 given is checked. A save that fails verification is exported with
+// "state": null, the bytes as stored in "raw" and the reason in "error".
+const SAVE_FILE_FORMAT = 1;
+
+function sha256Hex(data) {
+	return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+async function exportSave(code) {
+	const lobby = lobbies.get(code);
+	let save;
+	if (lobby && lobby.gameState) {
+		save = { gameState: lobby.gameState, owner: lobby.owner, uploader: lobby.uploader };
+	} else {
+		try {
+			save = await gameStateDB.loadGame(code);
+		} catch (err) {
+			if (!(err instanceof SaveCorruptError)) {
+				throw err;
+			}
+			const stored = await storage.load(code);
+			return {
+				'format': SAVE_FILE_FORMAT,
+				'code': code,
+				'owner': stored.owner,
+				'exportedAt': new Date().toISOString(),
+				'state': null,
+				'raw': stored.state.toString('base64'),
+				'error': err.message,
+			};
+		}
+	}
+	if (!save) {
+		return false;
+	}
+	return {
+		'format': SAVE_FILE_FORMAT,
+		'code': code,
+		'owner': save.owner,
+		'uploader': save.uploader,
+		'live': Boolean(lobby && lobby.gameState),
+		'exportedAt': new Date().toISOString(),
+		'size': save.gameState.length,
+		'sha256': sha256Hex(save.gameState),
+		'state': save.gameState.toString('base64'),
+	};
+}
+
+// Store a save file under `code`, or under a new code when it is null.
+async function importSave(code, body) {
+	let file;
+	try {
+		file = JSON.parse(body);
+	} catch (e) {
+		throw new AdminError(400, 'Save file is not JSON');
+	}
+	if (file === null || typeof file !== 'object' || file.format !== SAVE_FILE_FORMAT) {
+		throw new AdminError(400, `Save file format must be ${SAVE_FILE_FORMAT}`);
+	}
+	if (typeof file.state !== 'string' || file.state === '') {
+		throw new AdminError(400, 'Save file has no state');
+	}
+	const gameState = Buffer.from(file.state, 'base64');
+	if (gameState.length > config.MAX_GAME_STATE_SIZE) {
+		throw new AdminError(413, STR_GAME_STATE_TOO_LARGE);
+	}
+	if (file.sha256 !== undefined && file.sha256 !== sha256Hex(gameState)) {
+		throw new AdminError(400, 'Save file checksum mismatch');
+	}
+	const owner = file.owner === undefined ? null : file.owner;
+	if (owner !== null && (typeof owner !== 'string' || owner === '' || owner.length > MAX_USER_ID_LENGTH)) {
+		throw new AdminError(400, 'Invalid save file owner');
+	}
+	const uploader = Number.isInteger(file.uploader) && file.uploader > 0 && file.uploader <= 0xffffffff
+		? file.uploader : null;
+
+	let target = code;
+	if (target === null) {
+		target = await claimNewCode();
+	} else {
+		if (!codeGenerator.isValidCode(target)) {
+			throw new AdminError(400, STR_INVALID_CODE);
+		}
+		if (lobbies.has(target) || await bus.get(lobbyKey(target))) {
+			throw new AdminError(409, 'Lobby is open, close it first');
+		}
+	}
+	const saved = await gameStateDB.saveGame(target, gameState, owner, uploader);
+	// The claim only kept the new code from being handed out meanwhile.
+	if (code === null) {
+		bus.release(lobbyKey(target), INSTANCE_ID).catch(busError);
+	}
+	if (!saved) {
+		throw new Error(`Saving imported game ${target} failed`);
+	}
+	log.info('Saved game imported', { 'lobby': target, 'bytes': gameState.length, 'owner': owner });
+	return { 'code': target, 'size': gameState.length };
+}
+
+function resumeSession(peer, token) {
+	if (peer.lobby !== '') {
+		throw new ProtoError(4000, STR_ALREADY_IN_LOBBY);
+	}
+	const old = suspendedPeers.get(token);
+	// The token proves the identity, but must not be used to switch to another one.
+	if (!old || (peer.userId !== null && peer.userId !== old.userId)) {
+		throw new ProtoError(4000, STR_INVALID_RESUME_TOKEN);
+	}
+	peer.userId = old.userId;
+	peer.name = old.name;
+	suspendedPeers.delete(token);
+	bus.release(resumeKey(token), INSTANCE_ID).catch(busError);
+	clearTimeout(old.resumeTimer);
+	old.resumeTimer = -1;
+	const lobby = lobbies.get(old.lobby);
+	if (!lobby || !lobby.resume(old, peer)) {
+		throw new ProtoError(4000, STR_SERVER_ERROR);
+	}
+	peer.lobby = lobby.name;
+	peer.ws.send(ProtoMessage(CMD.JOIN, 0, lobby.name));
+	log.info('Peer resumed session', { 'lobby': lobby.name, 'peer': peer.id });
+}
+
+function forwardMessage(peer, message) {
+	bus.publish(instanceKey(peer.remote), {
+		'kind': 'message',
+		'from': INSTANCE_ID,
+		'peer': peer.id,
+		'ip': peer.ip,
+		'user': peer.userId,
+		'name': peer.name,
+		...encodePayload(message),
+	}).catch(busError);
+}
+
+// Hand a peer over to the live instance owning `key`, if that is not us.
+// From then on its messages are forwarded there and it never joins a lobby here.
+async function routeToOwner(peer, key, msg) {
+	if (peer.lobby !== '') {
+		return false;
+	}
+	const owner = await bus.get(key);
+	if (!owner || owner === INSTANCE_ID || !(await bus.get(instanceKey(owner)))) {
+		return false;
+	}
+	peer.remote = owner;
+	clearTimeout(peer.timeout);
+	proxiedPeers.set(peer.id, peer);
+	forwardMessage(peer, msg);
+	return true;
+}
+
+// Run a join or resume, counting its failures against the peer's address.
+async function guardJoin(peer, attempt) {
+	if (failedJoins.isBanned(peer.ip)) {
+		throw new ProtoError(CLOSE_RATE_LIMITED, STR_TOO_MANY_FAILED_JOINS);
+	}
+	try {
+		await attempt();
+	} catch (e) {
+		if (e instanceof ProtoError && JOIN_FAILURES.has(e.message) && failedJoins.fail(peer.ip)) {
+			counters.rateLimited.inc({ 'reason': 'failed_joins' });
+			throw new ProtoError(CLOSE_RATE_LIMITED, STR_TOO_MANY_FAILED_JOINS);
+		}
+		throw e;
+	}
+}
+
+// OFFER/ANSWER carry an SDP, CANDIDATE an ICE candidate (or nothing, for end-of-candidates).
+function validateSignal(type, data) {
+	if (type === CMD.CANDIDATE) {
+		if (data.length > config.MAX_CANDIDATE_SIZE || (data !== '' && !data.includes('candidate'))) {
+			throw new ProtoError(4000, STR_INVALID_CANDIDATE);
+		}
+	} else if (data.length > config.MAX_SDP_SIZE || !data.includes('v=0')) {
+		throw new ProtoError(4000, STR_INVALID_SDP);
+	}
+}
+
+async function parseMsg(peer, msg) {
+	if (typeof msg !== 'string') {
+		// Game state saving (only host can save)		
+		const lobby = lobbies.get(peer.lobby);
+		if (!lobby) {
+			throw new ProtoError(4000, STR_NEED_LOBBY);
+		}
+		if (peer.id !== lobby.host) {
+			throw new ProtoError(4000, 'Only host can save game state');
+		}
+		if (msg.length > config.MAX_GAME_STATE_SIZE) {
+			throw new ProtoError(CLOSE_MESSAGE_TOO_BIG, STR_GAME_STATE_TOO_LARGE);
+		}
+		if (!lobby.stateQuota.take(msg.length)) {
+			throw new ProtoError(CLOSE_MESSAGE_TOO_BIG, STR_GAME_STATE_QUOTA);
+		}
+		try {			
+			lobby.updateGameState(msg, peer.id);
+		} catch (e) {
 			throw new ProtoError(4000, 'Invalid game state format');
 		}
 		return;		
 	}
+	if (msg.length > config.MAX_JSON_MESSAGE_SIZE) {
+		throw new ProtoError(CLOSE_MESSAGE_TOO_BIG, STR_MESSAGE_TOO_LARGE);
+	}
 	let json = null;
 	try {
 		json = JSON.parse(msg);
@@ -426,9 +1563,55 @@ async function parseMsg(peer, msg) {
 		throw new ProtoError(4000, STR_INVALID_FORMAT);
 	}
 
+	if (draining && (type === CMD.JOIN || type === CMD.RESUME)) {
+		throw new ProtoError(CLOSE_SERVER_RESTARTING, STR_SERVER_RESTARTING);
+	}
+
 	// Lobby joining.
 	if (type === CMD.JOIN) {		
-		await joinLobby(peer, data, id === 0);
+		const join = parseJoinData(data);
+		const code = join.lobby.toUpperCase();
+		if (codeGenerator.isValidCode(code) && !lobbies.has(code) && await routeToOwner(peer, lobbyKey(code), msg)) {
+			return;
+		}
+		if (join.token) {
+			authenticate(peer, join.token);
+		}
+		if (config.AUTH_REQUIRED && peer.userId === null) {
+			throw new ProtoError(CLOSE_UNAUTHORIZED, STR_AUTH_REQUIRED);
+		}
+		await guardJoin(peer, () => joinLobby(peer, join.lobby, id === 0, join.options));
+		return;
+	}
+
+	// Lobby browsing, data is an optional JSON filter:
+	// { "mode", "region", "name", "notFull", "page", "pageSize" }
+	if (type === CMD.LIST_LOBBIES) {
+		let filter = {};
+		if (data !== '') {
+			try {
+				filter = JSON.parse(data);
+			} catch (e) {
+				throw new ProtoError(4000, STR_INVALID_FORMAT);
+			}
+			if (filter === null || typeof filter !== 'object') {
+				throw new ProtoError(4000, STR_INVALID_FORMAT);
+			}
+		}
+		// Browsing players get more time to pick a lobby.
+		if (!peer.lobby) {
+			peer.armTimeout(config.BROWSE_TIMEOUT);
+		}
+		peer.ws.send(ProtoMessage(CMD.LIST_LOBBIES, 0, JSON.stringify(listLobbies(filter))));
+		return;
+	}
+
+	// Session resuming, data is the token received with CMD.RESUME.
+	if (type === CMD.RESUME) {
+		if (!suspendedPeers.has(data) && await routeToOwner(peer, resumeKey(data), msg)) {
+			return;
+		}
+		await guardJoin(peer, async () => resumeSession(peer, data));
 		return;
 	}
 
@@ -441,12 +1624,67 @@ async function parseMsg(peer, msg) {
 	}
 
 
+	// TURN credentials refresh.
+	if (type === CMD.ICE_SERVERS) {
+		peer.ws.send(IceServersMessage(peer));
+		return;
+	}
+
 	// Lobby sealing.
 	if (type === CMD.SEAL) {
 		lobby.seal(peer);
 		return;
 	}
 
+	// Host moderation, id is the peer to remove.
+	if (type === CMD.KICK || type === CMD.BAN) {
+		await kickPeer(lobby, peer, id, type === CMD.BAN);
+		return;
+	}
+
+	// Host picks who takes over if it leaves, id 0 clears the choice.
+	if (type === CMD.SET_SUCCESSOR) {
+		if (peer.id !== lobby.host) {
+			throw new ProtoError(4000, STR_ONLY_HOST_CAN_DESIGNATE);
+		}
+		if (config.HOST_MIGRATION_POLICY !== 'designated') {
+			throw new ProtoError(4000, STR_DESIGNATION_DISABLED);
+		}
+		const successor = id === 0 ? null : lobby.peers.find((p) => p.id === id && p !== peer);
+		if (successor === undefined) {
+			throw new ProtoError(4000, STR_INVALID_DEST);
+		}
+		lobby.successor = successor ? successor.id : null;
+		return;
+	}
+
+	// Saved game history, for the host: LIST_SAVES replies with the versions,
+	// newest first, RESTORE_SAVE rolls back to the version given as data.
+	if (type === CMD.LIST_SAVES || type === CMD.RESTORE_SAVE) {
+		if (peer.id !== lobby.host) {
+			throw new ProtoError(4000, STR_ONLY_HOST_CAN_RESTORE);
+		}
+		if (type === CMD.LIST_SAVES) {
+			const versions = await gameStateDB.listVersions(lobby.name);
+			peer.ws.send(ProtoMessage(CMD.LIST_SAVES, 0, JSON.stringify(versions)));
+			return;
+		}
+		const version = /^\d+$/.test(data) ? Number(data) : NaN;
+		let restored = false;
+		try {
+			restored = Number.isSafeInteger(version) && await rollbackSave(lobby.name, version);
+		} catch (err) {
+			if (err instanceof SaveCorruptError) {
+				throw new ProtoError(4000, STR_SAVE_CORRUPT);
+			}
+			throw err;
+		}
+		if (!restored) {
+			throw new ProtoError(4000, STR_UNKNOWN_VERSION);
+		}
+		return;
+	}
+
 	// Message relaying format:
 	//
 	// {
@@ -455,68 +1693,520 @@ async function parseMsg(peer, msg) {
 	//   "data": PAYLOAD
 	// }
 	if (type === CMD.OFFER || type === CMD.ANSWER || type === CMD.CANDIDATE) {
-		let destId = id;
-		if (id === 1) {
-			destId = lobby.host;
-		}
-		const dest = lobby.peers.find((e) => e.id === destId);
+		validateSignal(type, data);
+		const dest = lobby.findPeer(id);
 		// Dest is not in this room.
 		if (!dest) {
 			throw new ProtoError(4000, STR_INVALID_DEST);
 		}
 		dest.ws.send(ProtoMessage(type, lobby.getPeerId(peer), data));
+		counters.relayed.inc({ 'type': RELAY_NAMES[type] });
+		return;
+	}
+
+	// Server-mediated messaging, for when there is no data channel (yet):
+	//
+	// {
+	//   "type": CMD.RELAY,
+	//   "id": DEST_ID (0 for all other peers, 1 for the host),
+	//   "data": PAYLOAD
+	// }
+	if (type === CMD.RELAY) {
+		if (data.length > config.MAX_RELAY_SIZE) {
+			throw new ProtoError(CLOSE_MESSAGE_TOO_BIG, STR_RELAY_TOO_LARGE);
+		}
+		lobby.relay(peer, id, type, data);
+		return;
+	}
+
+	// Lobby chat, broadcast to everyone (sender included) and kept in history.
+	if (type === CMD.CHAT) {
+		if (data === '' || data.length > MAX_CHAT_LENGTH) {
+			throw new ProtoError(4000, STR_INVALID_CHAT);
+		}
+		lobby.chat(peer, data);
 		return;
 	}
 	throw new ProtoError(4000, STR_INVALID_CMD);
 }
 
-wss.on('connection', (ws) => {
-	if (peersCount >= MAX_PEERS) {
+function rejectMessage(peer, message, e) {
+	const code = e.code || 4000;
+	counters.protoErrors.inc({ 'message': e instanceof ProtoError ? e.message : 'internal' });
+	const fields = {
+		'peer': peer.id,
+		'lobby': peer.lobby || undefined,
+		'code': code,
+		'message': summarizeMessage(message),
+	};
+	if (e instanceof ProtoError) {
+		log.warn(`Error parsing message: ${e.message}`, fields);
+	} else {
+		log.error('Error handling message', { ...fields, 'err': e });
+	}
+	peer.ws.close(code, e.message);
+}
+
+async function handleMessage(peer, message) {
+	try {
+		await parseMsg(peer, message);
+	} catch (e) {
+		rejectMessage(peer, message, e);
+	}
+}
+
+async function handleClose(peer, code) {
+	const lobby = lobbies.get(peer.lobby);
+	// Normal closures and server-side protocol errors are final, anything else may resume.
+	if (lobby && !lobby.sealed && code !== 1000 && code < 4000) {
+		suspendPeer(peer, lobby);
+	} else {
+		await leaveLobby(peer);
+	}
+	if (peer.timeout >= 0) {
+		clearTimeout(peer.timeout);
+		peer.timeout = -1;
+	}
+}
+
+// Messages from other instances: for peers in our lobbies ("message", "closed")
+// and for our peers proxied to their lobbies ("send", "close").
+async function handleBusMessage(msg) {
+	const key = `${msg.from}:${msg.peer}`;
+	if (msg.kind === 'message') {
+		let peer = remotePeers.get(key);
+		if (!peer) {
+			peer = new Peer(msg.peer, new RemoteSocket(msg.from, msg.peer), msg.ip);
+			peer.userId = msg.user || null;
+			peer.name = msg.name || '';
+			remotePeers.set(key, peer);
+		}
+		await handleMessage(peer, decodePayload(msg));
+	} else if (msg.kind === 'closed') {
+		const peer = remotePeers.get(key);
+		if (peer) {
+			remotePeers.delete(key);
+			await handleClose(peer, msg.code);
+		}
+	} else if (msg.kind === 'send' && proxiedPeers.has(msg.peer)) {
+		proxiedPeers.get(msg.peer).ws.send(decodePayload(msg));
+	} else if (msg.kind === 'close' && proxiedPeers.has(msg.peer)) {
+		proxiedPeers.get(msg.peer).ws.close(msg.code, msg.reason);
+	}
+}
+
+// Keep our claims alive, and drop peers whose other instance stopped doing so.
+async function clusterHeartbeat() {
+	if (!(await bus.refresh(instanceKey(INSTANCE_ID), INSTANCE_ID, CLUSTER_CLAIM_TTL))) {
+		await bus.claim(instanceKey(INSTANCE_ID), INSTANCE_ID, CLUSTER_CLAIM_TTL);
+	}
+	await bus.publish(LISTINGS_CHANNEL, { 'from': INSTANCE_ID, 'listings': localListings() });
+	const now = Date.now();
+	remoteListings.forEach((remote, instance) => {
+		if (remote.expires <= now) {
+			remoteListings.delete(instance);
+		}
+	});
+	await Promise.all(Array.from(lobbies.keys(), async (code) => {
+		if (!(await bus.refresh(lobbyKey(code), INSTANCE_ID, CLUSTER_CLAIM_TTL))) {
+			await bus.claim(lobbyKey(code), INSTANCE_ID, CLUSTER_CLAIM_TTL);
+		}
+	}));
+	const instances = new Set();
+	remotePeers.forEach((peer) => instances.add(peer.ws.instance));
+	proxiedPeers.forEach((peer) => instances.add(peer.remote));
+	await Promise.all(Array.from(instances, async (instance) => {
+		if (await bus.get(instanceKey(instance))) {
+			return;
+		}
+		log.warn('Cluster instance went away', { 'instance': instance });
+		remotePeers.forEach((peer, key) => {
+			if (peer.ws.instance === instance) {
+				remotePeers.delete(key);
+				handleClose(peer, 1006);
+			}
+		});
+		proxiedPeers.forEach((peer) => {
+			if (peer.remote === instance) {
+				peer.ws.close(1012, STR_INSTANCE_GONE);
+			}
+		});
+	}));
+}
+
+const adminApi = createAdminApi(config.ADMIN_TOKEN, {
+	listLobbies: () => ({ 'lobbies': Array.from(lobbies.values(), (l) => l.getInfo()) }),
+	getLobby: (code) => lobbies.has(code) && lobbies.get(code).getInfo(),
+	closeLobby,
+	kickPeer: async (code, id) => {
+		const lobby = lobbies.get(code);
+		const target = lobby && lobby.peers.find((p) => p.id === id);
+		if (!target) {
+			return false;
+		}
+		log.info('Peer kicked by admin', { 'lobby': code, 'peer': id });
+		await removePeer(target, CLOSE_KICKED, STR_KICKED);
+		return { 'kicked': id };
+	},
+	listSaves: async () => ({ 'saves': await gameStateDB.listGames() }),
+	deleteSave: async (code) => (await gameStateDB.deleteGame(code)) && { 'deleted': code },
+	exportSave,
+	importSave,
+	getCodeStats: () => codeGenerator.getStats(),
+	getSaveCleanup: () => gameStateDB.getCleanupStatus(),
+	getSaveFlush: () => gameStateDB.getFlushStatus(),
+	listSaveVersions: async (code) => {
+		const versions = await gameStateDB.listVersions(code);
+		if (versions.length === 0 && !(await gameStateDB.hasGame(code))) {
+			return false;
+		}
+		return { 'code': code, 'versions': versions };
+	},
+	restoreSaveVersion: async (code, version) => {
+		try {
+			return (await rollbackSave(code, version)) && { 'restored': code, 'version': version };
+		} catch (err) {
+			if (err instanceof SaveCorruptError) {
+				throw new AdminError(422, err.message);
+			}
+			throw err;
+		}
+	},
+});
+
+// Serves /metrics next to the admin API, on whichever port that uses.
+function handleAdminRequest(req, res) {
+	if (req.url === '/metrics') {
+		res.writeHead(200, { 'Content-Type': metrics.CONTENT_TYPE });
+		res.end(metrics.render());
+		return;
+	}
+	adminApi(req, res);
+}
+
+function handleRequest(req, res) {
+	if (!config.ADMIN_PORT && (req.url === '/metrics' || req.url.startsWith('/admin/'))) {
+		handleAdminRequest(req, res);
+		return;
+	}
+	res.writeHead(426, { 'Content-Type': 'text/plain' });
+	res.end('Upgrade Required');
+}
+
+// The client address, as seen by the last of TRUST_PROXY reverse proxies.
+// Each proxy appends the address it got the request from to X-Forwarded-For,
+// so anything further left may have been forged by the client.
+function clientIp(req) {
+	const hops = (req.headers['x-forwarded-for'] || '').split(',').map((a) => a.trim()).filter((a) => a !== '');
+	hops.push(req.socket.remoteAddress);
+	return hops[Math.max(0, hops.length - 1 - config.TRUST_PROXY)];
+}
+
+// Browsers cannot set headers on WebSocket requests, hence the query string.
+function connectionToken(req) {
+	const auth = req.headers['authorization'] || '';
+	if (auth.startsWith('Bearer ')) {
+		return auth.slice('Bearer '.length).trim();
+	}
+	return new URL(req.url, 'http://localhost').searchParams.get('token') || '';
+}
+
+const certificates = createCertificateWatcher();
+const server = certificates ? https.createServer(certificates.load(), handleRequest) : http.createServer(handleRequest);
+if (certificates) {
+	certificates.watch(server);
+}
+// Backstop only: frames bigger than any valid message are dropped before being buffered.
+const wss = new WebSocket.Server({
+	server,
+	maxPayload: Math.max(config.MAX_GAME_STATE_SIZE, config.MAX_JSON_MESSAGE_SIZE) + 1024,
+});
+server.listen(config.PORT);
+
+log.info('Listening', { 'url': `${certificates ? 'wss' : 'ws'}://localhost:${config.PORT}`, 'instance': INSTANCE_ID });
+
+bus.subscribe(instanceKey(INSTANCE_ID), (msg) => {
+	handleBusMessage(msg).catch((err) => log.error('Error handling bus message', { 'err': err }));
+}).catch(busError);
+bus.subscribe(LISTINGS_CHANNEL, (msg) => {
+	if (msg.from !== INSTANCE_ID && Array.isArray(msg.listings)) {
+		remoteListings.set(msg.from, { 'listings': msg.listings, 'expires': Date.now() + CLUSTER_CLAIM_TTL });
+	}
+}).catch(busError);
+clusterHeartbeat().catch(busError);
+const clusterHeartbeatInterval = setInterval(() => {
+	clusterHeartbeat().catch(busError);
+}, CLUSTER_HEARTBEAT_INTERVAL);
+
+const adminServer = config.ADMIN_PORT ? http.createServer(handleAdminRequest) : null;
+if (adminServer) {
+	adminServer.listen(config.ADMIN_PORT);
+	log.info('Admin API listening', { 'url': `http://localhost:${config.ADMIN_PORT}/admin/` });
+}
+
+wss.on('connection', (ws, req) => {
+	if (draining) {
+		ws.close(CLOSE_SERVER_RESTARTING, STR_SERVER_RESTARTING);
+		return;
+	}
+	if (peersCount >= config.MAX_PEERS) {
+		counters.connectionsRejected.inc();
 		ws.close(4000, STR_TOO_MANY_PEERS);
 		return;
 	}
+	const ip = clientIp(req);
+	if (failedJoins.isBanned(ip)) {
+		counters.rateLimited.inc({ 'reason': 'failed_joins' });
+		ws.close(CLOSE_RATE_LIMITED, STR_TOO_MANY_FAILED_JOINS);
+		return;
+	}
+	if ((connectionsPerIp.get(ip) || 0) >= config.MAX_CONNECTIONS_PER_IP) {
+		counters.rateLimited.inc({ 'reason': 'connections' });
+		ws.close(CLOSE_RATE_LIMITED, STR_TOO_MANY_CONNECTIONS);
+		return;
+	}
+	connectionsPerIp.set(ip, (connectionsPerIp.get(ip) || 0) + 1);
 	peersCount++;
+	counters.connectionsOpened.inc();
 	const id = randomId();
-	const peer = new Peer(id, ws);
-	ws.on('message', async (message) => {
+	const peer = new Peer(id, ws, ip);
+	const token = connectionToken(req);
+	if (token) {
 		try {
-			await parseMsg(peer, message);
+			authenticate(peer, token);
 		} catch (e) {
-			const code = e.code || 4000;
-			console.log(`Error parsing message from ${id}:\n${message}`);
-			ws.close(code, e.message);
+			rejectMessage(peer, '', e);
+		}
+	}
+	ws.on('message', async (message) => {
+		if (!peer.bucket.take() || !ipMessageLimiter.take(ip)) {
+			counters.rateLimited.inc({ 'reason': 'messages' });
+			rejectMessage(peer, message, new ProtoError(CLOSE_RATE_LIMITED, STR_RATE_LIMITED));
+			return;
 		}
+		if (peer.remote) {
+			forwardMessage(peer, message);
+			return;
+		}
+		await handleMessage(peer, message);
+	});
+	ws.on('pong', () => {
+		peer.rtt = Date.now() - ws.pingSentAt;
 	});
 	ws.on('close', async (code, reason) => {
 		peersCount--;
-		console.log(`Connection with peer ${peer.id} closed with reason ${code}: ${reason}`);
-		if (peer.lobby && lobbies.has(peer.lobby)) {
-			const shouldClose = await lobbies.get(peer.lobby).leave(peer);
-			if (shouldClose) {
-				if (peer.lobby.gameState) {
-					const saved = await gameStateDB.saveGame(peer.lobby, peer.lobby.gameState);
-					if (saved) {
-						console.log(`Saved game state for lobby ${peer.lobby} before deletion`);
-					}
-				}
-				lobbies.delete(peer.lobby);
-				console.log(`Deleted lobby ${peer.lobby}`);
-				console.log(`Open lobbies: ${lobbies.size}`);
-			}
-			peer.lobby = '';			
+		if (connectionsPerIp.get(ip) > 1) {
+			connectionsPerIp.set(ip, connectionsPerIp.get(ip) - 1);
+		} else {
+			connectionsPerIp.delete(ip);
 		}
-		if (peer.timeout >= 0) {
-			clearTimeout(peer.timeout);
-			peer.timeout = -1;
+		counters.connectionsClosed.inc({ 'code': code });
+		log.info('Connection closed', {
+			'peer': peer.id,
+			'lobby': peer.lobby || undefined,
+			'code': code,
+			'reason': reason || undefined,
+		});
+		if (peer.remote) {
+			proxiedPeers.delete(peer.id);
+			bus.publish(instanceKey(peer.remote), {
+				'kind': 'closed',
+				'from': INSTANCE_ID,
+				'peer': peer.id,
+				'code': code,
+				'reason': reason,
+			}).catch(busError);
 		}
+		await handleClose(peer, code);
 	});
 	ws.on('error', (error) => {
-		console.error(error);
+		log.error('WebSocket error', { 'peer': peer.id, 'err': error });
 	});
 });
 
-const interval = setInterval(() => {
+function pingClients() {
 	wss.clients.forEach((ws) => {
+		ws.pingSentAt = Date.now();
 		ws.ping();
 	});
-}, PING_INTERVAL);
\ No newline at end of file
+}
+let interval = setInterval(pingClients, config.PING_INTERVAL);
+
+// Live lobbies' game states are checkpointed as saved games every AUTOSAVE_INTERVAL,
+// and the codes that have one are kept in storage. After a crash the first peer
+// to rejoin such a code restores it like any other saved game.
+const LIVE_LOBBIES_META = config.INSTANCE_ID ? `live_lobbies_${config.INSTANCE_ID}` : 'live_lobbies';
+let liveLobbiesWritten = '';
+
+async function checkpointLobbies() {
+	const live = Array.from(recoverableLobbies);
+	const saves = [];
+	lobbies.forEach((lobby, code) => {
+		if (!lobby.gameState) {
+			return;
+		}
+		live.push(code);
+		if (lobby.gameState !== lobby.checkpointed) {
+			lobby.checkpointed = lobby.gameState;
+			saves.push(gameStateDB.saveGame(code, lobby.gameState, lobby.owner, lobby.uploader));
+		}
+	});
+	await Promise.all(saves);
+	const manifest = JSON.stringify(live.sort());
+	if (manifest !== liveLobbiesWritten) {
+		await storage.writeMeta(LIVE_LOBBIES_META, manifest);
+		liveLobbiesWritten = manifest;
+	}
+	if (saves.length > 0) {
+		log.debug('Checkpointed lobbies', { 'count': saves.length });
+	}
+}
+
+function autosave() {
+	checkpointLobbies().catch((err) => {
+		log.error('Lobby checkpoint failed', { 'err': err });
+	});
+}
+let autosaveInterval = config.AUTOSAVE_INTERVAL ? setInterval(autosave, config.AUTOSAVE_INTERVAL) : null;
+
+storage.readMeta(LIVE_LOBBIES_META).then((manifest) => {
+	if (manifest === null) {
+		return;
+	}
+	JSON.parse(manifest)
+		.filter((code) => codeGenerator.isValidCode(code) && !lobbies.has(code))
+		.forEach((code) => recoverableLobbies.add(code));
+	liveLobbiesWritten = manifest;
+	log.info('Lobbies recoverable after restart', { 'count': recoverableLobbies.size });
+}).catch((err) => {
+	log.error('Reading live lobbies failed', { 'err': err });
+});
+
+function cleanupSaves() {
+	gameStateDB.purgeExpired((code) => lobbies.has(code))
+		// Recoverable codes whose checkpoint is gone for good.
+		.then(() => Promise.all(Array.from(recoverableLobbies, async (code) => {
+			if (!(await gameStateDB.hasGame(code))) {
+				recoverableLobbies.delete(code);
+			}
+		})))
+		.catch((err) => {
+			log.error('Saved game cleanup failed', { 'err': err });
+		});
+}
+let saveCleanupInterval = setInterval(cleanupSaves, config.SAVE_CLEANUP_INTERVAL);
+
+function flushSaves() {
+	gameStateDB.flush().catch((err) => {
+		log.error('Saved game flush failed', { 'err': err });
+	});
+}
+let saveFlushInterval = setInterval(flushSaves, config.SAVE_FLUSH_INTERVAL);
+
+const rateLimitSweepInterval = setInterval(() => {
+	ipMessageLimiter.sweep();
+	failedJoins.sweep();
+}, RATE_LIMIT_SWEEP_INTERVAL);
+
+// Write every live lobby's game state and every unwritten save to storage.
+async function flushGameStates() {
+	try {
+		await checkpointLobbies();
+	} catch (err) {
+		log.error('Lobby checkpoint failed', { 'err': err });
+	}
+	return gameStateDB.flush(true);
+}
+
+// Stop taking peers, persist game states, tell peers to come back after
+// RESTART_RETRY_AFTER ms, and exit within SHUTDOWN_TIMEOUT.
+async function shutdown(signal) {
+	if (draining) {
+		return;
+	}
+	draining = true;
+	log.info('Shutting down', { 'signal': signal, 'peers': peersCount, 'lobbies': lobbies.size });
+	setTimeout(() => {
+		log.warn('Shutdown timed out');
+		process.exit(1);
+	}, config.SHUTDOWN_TIMEOUT).unref();
+
+	clearInterval(saveFlushInterval);
+	clearInterval(autosaveInterval);
+	clearInterval(interval);
+	clearInterval(rateLimitSweepInterval);
+	clearInterval(saveCleanupInterval);
+	clearInterval(clusterHeartbeatInterval);
+	server.close();
+	if (certificates) {
+		certificates.close();
+	}
+	if (adminServer) {
+		adminServer.close();
+	}
+
+	const saved = await flushGameStates();
+	log.info('Saved game states', { 'count': saved, 'unsaved': gameStateDB.dirty.size });
+
+	// Suspended peers are gone already, nothing will resume them now.
+	suspendedPeers.forEach((peer) => clearTimeout(peer.resumeTimer));
+	const notice = ProtoMessage(CMD.SERVER_RESTARTING, 0, JSON.stringify({ 'retryAfter': config.RESTART_RETRY_AFTER }));
+	remotePeers.forEach((peer) => {
+		peer.ws.send(notice);
+		peer.ws.close(CLOSE_SERVER_RESTARTING, STR_SERVER_RESTARTING);
+	});
+	await Promise.all(Array.from(wss.clients, (ws) => new Promise((resolve) => {
+		ws.once('close', resolve);
+		ws.send(notice);
+		ws.close(CLOSE_SERVER_RESTARTING, STR_SERVER_RESTARTING);
+	})));
+	await bus.publish(LISTINGS_CHANNEL, { 'from': INSTANCE_ID, 'listings': [] }).catch(busError);
+	// Hosts could still upload until their socket closed.
+	const late = await flushGameStates();
+	if (late > 0) {
+		log.info('Saved late game states', { 'count': late, 'unsaved': gameStateDB.dirty.size });
+	}
+
+	await bus.close();
+	log.info('Shutdown complete');
+	process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Apply the reloadable settings without dropping anyone.
+function reload() {
+	let result;
+	try {
+		result = reloadConfig();
+	} catch (err) {
+		log.error('Configuration reload failed, keeping current settings', { 'err': err });
+		return;
+	}
+	if (draining) {
+		return;
+	}
+	if (result.changed.includes('PING_INTERVAL')) {
+		clearInterval(interval);
+		interval = setInterval(pingClients, config.PING_INTERVAL);
+	}
+	if (result.changed.includes('AUTOSAVE_INTERVAL')) {
+		clearInterval(autosaveInterval);
+		autosaveInterval = config.AUTOSAVE_INTERVAL ? setInterval(autosave, config.AUTOSAVE_INTERVAL) : null;
+	}
+	if (result.changed.includes('SAVE_FLUSH_INTERVAL')) {
+		clearInterval(saveFlushInterval);
+		saveFlushInterval = setInterval(flushSaves, config.SAVE_FLUSH_INTERVAL);
+	}
+	if (result.changed.includes('SAVE_CLEANUP_INTERVAL')) {
+		clearInterval(saveCleanupInterval);
+		saveCleanupInterval = setInterval(cleanupSaves, config.SAVE_CLEANUP_INTERVAL);
+	}
+	log.info('Configuration reloaded', { 'changed': result.changed });
+	if (result.ignored.length > 0) {
+		log.warn('Some settings only change on restart', { 'ignored': result.ignored });
+	}
+}
+
+process.on('SIGHUP', reload);
@@ -6,11 +6,19 @@
  *   createPool(); // optional (will be created lazily by safeQuery)
  *   const rows = await safeQuery("SELECT save_state FROM sessions WHERE code = ?", [code]);
  *
- * Environment variables expected:
+ * Settings (see config.js):
  *   DB_HOST, DB_USER, DB_PASS, DB_NAME
  */
 
 const mysql = require('mysql2/promise');
+const metrics = require('./metrics');
+const { config } = require('./config');
+const logger = require('./logger');
+
+const log = logger.child({ 'module': 'sql' });
+
+const queryRetries = metrics.counter('signaling_db_query_retries_total', 'safeQuery attempts retried after a transient error');
+const poolRecreations = metrics.counter('signaling_db_pool_recreations_total', 'MySQL pool recreation attempts');
 
 const TRANSIENT_ERROR_CODES = new Set([
   'PROTOCOL_CONNECTION_LOST',
@@ -25,18 +33,22 @@ const TRANSIENT_ERROR_CODES = new Set([
 let pool = null;
 let reconnectPromise = null;
 
-function createPool() {
-  if (pool) return pool;
-  pool = mysql.createPool({
-    host: process.env.DB_HOST || 'rossunger.com',
-    user: process.env.DB_USER,
-    password: process.env.DB_PASS,
-    database: process.env.DB_NAME,
+function poolOptions() {
+  return {
+    host: config.DB_HOST,
+    user: config.DB_USER || undefined,
+    password: config.DB_PASS || undefined,
+    database: config.DB_NAME || undefined,
     waitForConnections: true,
     connectionLimit: 10,
     queueLimit: 0,
     // optionally set connectTimeout: 10000
-  });
+  };
+}
+
+function createPool() {
+  if (pool) return pool;
+  pool = mysql.createPool(poolOptions());
   return pool;
 }
 
@@ -55,28 +67,21 @@ async function recreatePool({ maxAttempts = 5, initialDelayMs = 200 } = {}) {
   }
 
   reconnectPromise = (async () => {
-    console.warn('Recreating MySQL pool...');
+    log.warn('Recreating MySQL pool');
+    poolRecreations.inc();
     // Try to gracefully end old pool
     try {
       if (pool) {
         await pool.end();
       }
     } catch (err) {
-      console.warn('Error while ending old pool (ignoring):', err && err.code ? err.code : err);
+      log.warn('Error while ending old pool (ignoring)', { 'err': err });
     } finally {
       pool = null;
     }
 
     // Create a fresh pool and test it (with backoff)
-    const newPool = mysql.createPool({
-      host: process.env.DB_HOST || 'rossunger.com',
-      user: process.env.DB_USER,
-      password: process.env.DB_PASS,
-      database: process.env.DB_NAME,
-      waitForConnections: true,
-      connectionLimit: 10,
-      queueLimit: 0
-    });
+    const newPool = mysql.createPool(poolOptions());
 
     let attempt = 0;
     while (attempt < maxAttempts) {
@@ -84,10 +89,10 @@ async function recreatePool({ maxAttempts = 5, initialDelayMs = 200 } = {}) {
       try {
         await tryTestConnection(newPool);
         pool = newPool;
-        console.info('MySQL pool recreated and tested (attempt', attempt + ')');
+        log.info('MySQL pool recreated and tested', { 'attempt': attempt });
         return;
       } catch (err) {
-        console.error(`Pool test attempt ${attempt} failed:`, err && err.code ? err.code : err.message || err);
+        log.error('Pool test attempt failed', { 'attempt': attempt, 'err': err });
         const delay = Math.min(initialDelayMs * Math.pow(2, attempt - 1), 10000);
         await new Promise((r) => setTimeout(r, delay));
       }
@@ -135,18 +140,19 @@ async function safeQuery(sql, params = [], options = {}) {
       // If we've exhausted retries or the error is non-transient -> rethrow
       if (attempt >= retries || !isTransient) {
         // Optional: if non-transient and looks like auth/db missing, surface helpful message
-        console.error('DB query failed (final):', code || err.message || err);
+        log.error('DB query failed (final)', { 'attempt': attempt, 'err': err });
         throw err;
       }
 
-      console.warn(`DB query failed (attempt ${attempt}/${retries}) - code=${code || 'unknown'} - will retry`);
+      log.warn('DB query failed, will retry', { 'attempt': attempt, 'retries': retries, 'code': code || 'unknown' });
+      queryRetries.inc();
 
       // Try to heal the pool if it's a transient connection-level error
       if (recreateOnTransient) {
         try {
           await recreatePool();
         } catch (recreateErr) {
-          console.error('Failed to recreate pool during retry:', recreateErr && recreateErr.message ? recreateErr.message : recreateErr);
+          log.error('Failed to recreate pool during retry', { 'err': recreateErr });
           // Wait and then continue to next attempt (which will try createPool lazily)
         }
       }
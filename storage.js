@@ -0,0 +1,459 @@
+/**
+ * Pluggable storage backends for saved game states.
+ *
+ * Every backend implements the same async interface:
+ *   save(code, state, owner)  -> stores a Buffer under a lobby code, with the
+ *                                id of the user allowed to restore it (or null)
+ *   load(code)                -> returns { state, owner }, or null
+ *   has(code)                 -> returns true if a state is stored under the code
+ *   delete(code)              -> returns true if something was removed, versions included
+ *   list()                    -> returns an array of stored lobby codes
+ *   touch(code)               -> marks a state as used now, without rewriting it
+ *   listExpired(before, max)  -> up to `max` codes saved or touched before the
+ *                                `before` timestamp (ms), least recent first
+ *   reserve(name, count)      -> advances the named counter by count and returns
+ *                                its previous value (0 for a new counter)
+ *   saveVersion(code, version, state)
+ *                             -> stores a snapshot of a state, `version` being its
+ *                                timestamp in ms
+ *   listVersions(code)        -> returns [{ version, size }], newest first
+ *   loadVersion(code, version) -> returns the snapshot's Buffer, or null
+ *   deleteVersion(code, version) -> returns true if the snapshot was removed
+ *   writeMeta(name, value)    -> stores a string of server bookkeeping under a name
+ *   readMeta(name)            -> returns that string, or null
+ *
+ * Usage:
+ *   const { createStorage } = require('./storage');
+ *   const storage = createStorage(); // picks the backend from the environment
+ *
+ * Settings (see config.js):
+ *   STORAGE_BACKEND  memory | file | mysql (default: mysql if DB_NAME is set, memory otherwise)
+ *   STORAGE_DIR      directory used by the file backend (default: ./saves)
+ *
+ * The mysql backend expects a table like:
+ *   CREATE TABLE sessions (
+ *     code VARCHAR(32) PRIMARY KEY,
+ *     save_state LONGBLOB NOT NULL,
+ *     owner VARCHAR(128) NULL,
+ *     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+ *   );
+ *   CREATE TABLE save_versions (
+ *     code VARCHAR(32) NOT NULL,
+ *     version BIGINT NOT NULL,
+ *     save_state LONGBLOB NOT NULL,
+ *     PRIMARY KEY (code, version)
+ *   );
+ *   CREATE TABLE counters (
+ *     name VARCHAR(64) PRIMARY KEY,
+ *     value BIGINT NOT NULL
+ *   );
+ *   CREATE TABLE meta (
+ *     name VARCHAR(64) PRIMARY KEY,
+ *     value MEDIUMTEXT NOT NULL
+ *   );
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { safeQuery } = require('./sql');
+
+class MemoryStorage {
+	constructor() {
+		this.states = new Map();
+		this.counters = new Map();
+		this.meta = new Map();
+		this.versions = new Map(); // code -> Map(version -> state)
+	}
+
+	async save(code, state, owner = null) {
+		this.states.set(code, { state, owner, updatedAt: Date.now() });
+	}
+
+	async load(code) {
+		if (!this.states.has(code)) {
+			return null;
+		}
+		const { state, owner } = this.states.get(code);
+		return { state, owner };
+	}
+
+	async has(code) {
+		return this.states.has(code);
+	}
+
+	async delete(code) {
+		const versions = this.versions.delete(code);
+		return this.states.delete(code) || versions;
+	}
+
+	async list() {
+		return Array.from(this.states.keys());
+	}
+
+	async touch(code) {
+		if (this.states.has(code)) {
+			this.states.get(code).updatedAt = Date.now();
+		}
+	}
+
+	async listExpired(before, max) {
+		return Array.from(this.states)
+			.filter(([, entry]) => entry.updatedAt < before)
+			.sort(([, a], [, b]) => a.updatedAt - b.updatedAt)
+			.slice(0, max)
+			.map(([code]) => code);
+	}
+
+	async reserve(name, count) {
+		const value = this.counters.get(name) || 0;
+		this.counters.set(name, value + count);
+		return value;
+	}
+
+	async saveVersion(code, version, state) {
+		if (!this.versions.has(code)) {
+			this.versions.set(code, new Map());
+		}
+		this.versions.get(code).set(version, state);
+	}
+
+	async listVersions(code) {
+		return Array.from(this.versions.get(code) || [])
+			.map(([version, state]) => ({ version, size: state.length }))
+			.sort((a, b) => b.version - a.version);
+	}
+
+	async loadVersion(code, version) {
+		const versions = this.versions.get(code);
+		return (versions && versions.get(version)) || null;
+	}
+
+	async deleteVersion(code, version) {
+		const versions = this.versions.get(code);
+		return Boolean(versions) && versions.delete(version);
+	}
+
+	async writeMeta(name, value) {
+		this.meta.set(name, value);
+	}
+
+	async readMeta(name) {
+		return this.meta.has(name) ? this.meta.get(name) : null;
+	}
+}
+
+// Stores each state as a file named after its (URI-encoded) lobby code,
+// and its owner, if any, in a `.owner` file next to it. Snapshots are
+// `<code>.<version>.version` files. Counters are
+// `.counter` files, only safe with a single server process per directory,
+// and bookkeeping is in `.meta` files.
+class FileStorage {
+	constructor(dir) {
+		this.dir = path.resolve(dir || './saves');
+		this.ready = null;
+		this.counterLock = Promise.resolve();
+	}
+
+	async ensureDir() {
+		if (!this.ready) {
+			this.ready = fs.promises.mkdir(this.dir, { recursive: true });
+		}
+		await this.ready;
+	}
+
+	// Lobby codes come from clients, so never let them escape the directory.
+	filePath(code, ext = '.bin') {
+		return path.join(this.dir, `${encodeURIComponent(code)}${ext}`);
+	}
+
+	static async writeAtomic(file, data) {
+		const tmp = `${file}.${process.pid}.tmp`;
+		await fs.promises.writeFile(tmp, data);
+		await fs.promises.rename(tmp, file);
+	}
+
+	static async readIfExists(file) {
+		try {
+			return await fs.promises.readFile(file);
+		} catch (err) {
+			if (err.code === 'ENOENT') {
+				return null;
+			}
+			throw err;
+		}
+	}
+
+	static async unlinkIfExists(file) {
+		try {
+			await fs.promises.unlink(file);
+			return true;
+		} catch (err) {
+			if (err.code === 'ENOENT') {
+				return false;
+			}
+			throw err;
+		}
+	}
+
+	async save(code, state, owner = null) {
+		await this.ensureDir();
+		// Owner first: a crash in between must not leave a state restorable by anyone.
+		if (owner !== null) {
+			await FileStorage.writeAtomic(this.filePath(code, '.owner'), owner);
+		} else {
+			await FileStorage.unlinkIfExists(this.filePath(code, '.owner'));
+		}
+		await FileStorage.writeAtomic(this.filePath(code), state);
+	}
+
+	async load(code) {
+		const state = await FileStorage.readIfExists(this.filePath(code));
+		if (state === null) {
+			return null;
+		}
+		const owner = await FileStorage.readIfExists(this.filePath(code, '.owner'));
+		return { state, owner: owner === null ? null : owner.toString('utf8') };
+	}
+
+	async has(code) {
+		try {
+			await fs.promises.access(this.filePath(code));
+			return true;
+		} catch (err) {
+			if (err.code === 'ENOENT') {
+				return false;
+			}
+			throw err;
+		}
+	}
+
+	async delete(code) {
+		const versions = await this.listVersions(code);
+		await Promise.all(versions.map((v) => this.deleteVersion(code, v.version)));
+		await FileStorage.unlinkIfExists(this.filePath(code, '.owner'));
+		return (await FileStorage.unlinkIfExists(this.filePath(code))) || versions.length > 0;
+	}
+
+	async list() {
+		await this.ensureDir();
+		const files = await fs.promises.readdir(this.dir);
+		return files
+			.filter((f) => f.endsWith('.bin'))
+			.map((f) => decodeURIComponent(f.slice(0, -'.bin'.length)));
+	}
+
+	async touch(code) {
+		const now = new Date();
+		try {
+			await fs.promises.utimes(this.filePath(code), now, now);
+		} catch (err) {
+			if (err.code !== 'ENOENT') {
+				throw err;
+			}
+		}
+	}
+
+	async listExpired(before, max) {
+		const codes = await this.list();
+		const stats = await Promise.all(codes.map(async (code) => {
+			try {
+				return { code, mtime: (await fs.promises.stat(this.filePath(code))).mtimeMs };
+			} catch (err) {
+				return null; // Deleted meanwhile
+			}
+		}));
+		return stats
+			.filter((s) => s !== null && s.mtime < before)
+			.sort((a, b) => a.mtime - b.mtime)
+			.slice(0, max)
+			.map((s) => s.code);
+	}
+
+	async reserve(name, count) {
+		// Read-modify-write, so one at a time.
+		const result = this.counterLock.then(async () => {
+			await this.ensureDir();
+			const file = this.filePath(name, '.counter');
+			const stored = await FileStorage.readIfExists(file);
+			const value = stored === null ? 0 : Number(stored.toString('utf8'));
+			await FileStorage.writeAtomic(file, String(value + count));
+			return value;
+		});
+		this.counterLock = result.catch(() => {});
+		return result;
+	}
+
+	async saveVersion(code, version, state) {
+		await this.ensureDir();
+		await FileStorage.writeAtomic(this.filePath(code, `.${version}.version`), state);
+	}
+
+	async listVersions(code) {
+		await this.ensureDir();
+		const prefix = `${encodeURIComponent(code)}.`;
+		const files = (await fs.promises.readdir(this.dir))
+			.filter((f) => f.startsWith(prefix) && f.endsWith('.version'));
+		const versions = await Promise.all(files.map(async (f) => {
+			const version = Number(f.slice(prefix.length, -'.version'.length));
+			try {
+				return { version, size: (await fs.promises.stat(path.join(this.dir, f))).size };
+			} catch (err) {
+				return null; // Deleted meanwhile
+			}
+		}));
+		return versions
+			.filter((v) => v !== null && Number.isInteger(v.version))
+			.sort((a, b) => b.version - a.version);
+	}
+
+	async loadVersion(code, version) {
+		return FileStorage.readIfExists(this.filePath(code, `.${version}.version`));
+	}
+
+	async deleteVersion(code, version) {
+		return FileStorage.unlinkIfExists(this.filePath(code, `.${version}.version`));
+	}
+
+	async writeMeta(name, value) {
+		await this.ensureDir();
+		await FileStorage.writeAtomic(this.filePath(name, '.meta'), value);
+	}
+
+	async readMeta(name) {
+		const value = await FileStorage.readIfExists(this.filePath(name, '.meta'));
+		return value === null ? null : value.toString('utf8');
+	}
+}
+
+// Stores states in the `sessions` table through sql.js.
+class MySQLStorage {
+	constructor(query) {
+		this.query = query || safeQuery;
+	}
+
+	async save(code, state, owner = null) {
+		await this.query(
+			`INSERT INTO sessions (code, save_state, owner)
+			VALUES (?, ?, ?)
+			ON DUPLICATE KEY UPDATE
+				save_state = VALUES(save_state),
+				owner = VALUES(owner),
+				updated_at = CURRENT_TIMESTAMP`,
+			[code, state, owner]
+		);
+	}
+
+	async load(code) {
+		const rows = await this.query('SELECT save_state, owner FROM sessions WHERE code = ?', [code]);
+		if (rows.length === 0) {
+			return null;
+		}
+		return { state: rows[0].save_state, owner: rows[0].owner };
+	}
+
+	async has(code) {
+		const rows = await this.query('SELECT 1 FROM sessions WHERE code = ?', [code]);
+		return rows.length > 0;
+	}
+
+	async delete(code) {
+		const versions = await this.query('DELETE FROM save_versions WHERE code = ?', [code]);
+		const result = await this.query('DELETE FROM sessions WHERE code = ?', [code]);
+		return result.affectedRows > 0 || versions.affectedRows > 0;
+	}
+
+	async list() {
+		const rows = await this.query('SELECT code FROM sessions');
+		return rows.map((r) => r.code);
+	}
+
+	async touch(code) {
+		await this.query('UPDATE sessions SET updated_at = CURRENT_TIMESTAMP WHERE code = ?', [code]);
+	}
+
+	async listExpired(before, max) {
+		const rows = await this.query(
+			'SELECT code FROM sessions WHERE updated_at < ? ORDER BY updated_at LIMIT ?',
+			[new Date(before), max]
+		);
+		return rows.map((r) => r.code);
+	}
+
+	async reserve(name, count) {
+		// LAST_INSERT_ID(expr) hands the updated value back in insertId, atomically.
+		const result = await this.query(
+			`INSERT INTO counters (name, value)
+			VALUES (?, ?)
+			ON DUPLICATE KEY UPDATE value = LAST_INSERT_ID(value + ?)`,
+			[name, count, count]
+		);
+		// One affected row means the counter was just created.
+		return result.affectedRows === 1 ? 0 : result.insertId - count;
+	}
+
+	async saveVersion(code, version, state) {
+		await this.query(
+			'INSERT INTO save_versions (code, version, save_state) VALUES (?, ?, ?)',
+			[code, version, state]
+		);
+	}
+
+	async listVersions(code) {
+		const rows = await this.query(
+			'SELECT version, LENGTH(save_state) AS size FROM save_versions WHERE code = ? ORDER BY version DESC',
+			[code]
+		);
+		return rows.map((r) => ({ version: Number(r.version), size: Number(r.size) }));
+	}
+
+	async loadVersion(code, version) {
+		const rows = await this.query(
+			'SELECT save_state FROM save_versions WHERE code = ? AND version = ?',
+			[code, version]
+		);
+		return rows.length === 0 ? null : rows[0].save_state;
+	}
+
+	async deleteVersion(code, version) {
+		const result = await this.query('DELETE FROM save_versions WHERE code = ? AND version = ?', [code, version]);
+		return result.affectedRows > 0;
+	}
+
+	async writeMeta(name, value) {
+		await this.query(
+			'INSERT INTO meta (name, value) VALUES (?, ?) ON DUPLICATE KEY UPDATE value = VALUES(value)',
+			[name, value]
+		);
+	}
+
+	async readMeta(name) {
+		const rows = await this.query('SELECT value FROM meta WHERE name = ?', [name]);
+		return rows.length === 0 ? null : rows[0].value;
+	}
+}
+
+const BACKENDS = {
+	'memory': () => new MemoryStorage(),
+	'file': () => new FileStorage(config.STORAGE_DIR),
+	'mysql': () => new MySQLStorage(),
+};
+
+/**
+ * Create the storage backend named by `type`, or by STORAGE_BACKEND.
+ */
+function createStorage(type) {
+	const name = type || config.STORAGE_BACKEND || (config.DB_NAME ? 'mysql' : 'memory');
+	const factory = BACKENDS[name];
+	if (!factory) {
+		throw new Error(`Unknown storage backend: ${name}`);
+	}
+	return factory();
+}
+
+module.exports = {
+	MemoryStorage,
+	FileStorage,
+	MySQLStorage,
+	createStorage,
+};
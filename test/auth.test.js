@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken, verifyToken, AuthError } = require('../auth');
+
+const SECRET = 'test-secret';
+const now = () => Math.floor(Date.now() / 1000);
+
+test('verifyToken returns the identity of a valid token', () => {
+	const token = signToken({ 'sub': 'player-1', 'name': 'Ann', 'exp': now() + 60 }, SECRET);
+	assert.deepEqual(verifyToken(token, SECRET), { 'id': 'player-1', 'name': 'Ann' });
+});
+
+test('verifyToken rejects every token when the secret is empty', () => {
+	const token = signToken({ 'sub': 'victim' }, '');
+	assert.throws(() => verifyToken(token, ''), AuthError);
+});
+
+test('verifyToken rejects a token signed with another secret', () => {
+	const token = signToken({ 'sub': 'player-1' }, 'other');
+	assert.throws(() => verifyToken(token, SECRET), /Bad token signature/);
+});
+
+test('verifyToken rejects expired and not yet valid tokens', () => {
+	assert.throws(() => verifyToken(signToken({ 'sub': 'p', 'exp': now() - 1 }, SECRET), SECRET), /expired/);
+	assert.throws(() => verifyToken(signToken({ 'sub': 'p', 'nbf': now() + 60 }, SECRET), SECRET), /not yet valid/);
+	assert.equal(verifyToken(signToken({ 'sub': 'p', 'nbf': now() - 1 }, SECRET), SECRET).id, 'p');
+});
+
+test('verifyToken only accepts HS256', () => {
+	const token = signToken({ 'sub': 'p' }, SECRET);
+	const none = Buffer.from(JSON.stringify({ 'alg': 'none', 'typ': 'JWT' })).toString('base64url');
+	assert.throws(() => verifyToken(`${none}.${token.split('.')[1]}.`, SECRET), /Unsupported token algorithm/);
+});
+
+test('verifyToken rejects malformed tokens and bad claims', () => {
+	assert.throws(() => verifyToken('not-a-token', SECRET), /Malformed/);
+	assert.throws(() => verifyToken(undefined, SECRET), /Malformed/);
+	assert.throws(() => verifyToken(signToken({ 'name': 'no subject' }, SECRET), SECRET), /subject/);
+	assert.throws(() => verifyToken(signToken({ 'sub': 'x'.repeat(129) }, SECRET), SECRET), /subject/);
+	assert.throws(() => verifyToken(signToken({ 'sub': 'p', 'name': 'x'.repeat(65) }, SECRET), SECRET), /name/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket, KeyedLimiter, FailureTracker } = require('../rate_limiter');
+
+// Date.now() under the test's control.
+function clock(t) {
+	const time = { 'now': 1000000 };
+	t.mock.method(Date, 'now', () => time.now);
+	return time;
+}
+
+test('TokenBucket allows a burst, then refills at its rate', (t) => {
+	const time = clock(t);
+	const bucket = new TokenBucket(10, 5);
+	assert.equal(bucket.take(5), true);
+	assert.equal(bucket.take(), false);
+	time.now += 100;
+	assert.equal(bucket.take(), true);
+	assert.equal(bucket.take(), false);
+	// Never refills past the burst.
+	time.now += 60000;
+	assert.equal(bucket.isFull(), true);
+	assert.equal(bucket.take(6), false);
+	assert.equal(bucket.take(5), true);
+});
+
+test('KeyedLimiter limits keys separately and sweeps full buckets', (t) => {
+	const time = clock(t);
+	const limiter = new KeyedLimiter(1, 1);
+	assert.equal(limiter.take('a'), true);
+	assert.equal(limiter.take('a'), false);
+	assert.equal(limiter.take('b'), true);
+	time.now += 1000;
+	limiter.sweep();
+	assert.equal(limiter.buckets.size, 0);
+});
+
+test('FailureTracker bans after enough failures within the window', (t) => {
+	const time = clock(t);
+	const tracker = new FailureTracker(3, 1000, 5000);
+	assert.equal(tracker.fail('ip'), false);
+	assert.equal(tracker.fail('ip'), false);
+	assert.equal(tracker.fail('ip'), true);
+	assert.equal(tracker.isBanned('ip'), true);
+	assert.equal(tracker.isBanned('other'), false);
+	time.now += 4999;
+	assert.equal(tracker.isBanned('ip'), true);
+	time.now += 1;
+	assert.equal(tracker.isBanned('ip'), false);
+});
+
+test('FailureTracker forgets failures outside the window', (t) => {
+	const time = clock(t);
+	const tracker = new FailureTracker(3, 1000, 5000);
+	tracker.fail('ip');
+	tracker.fail('ip');
+	time.now += 1001;
+	assert.equal(tracker.fail('ip'), false);
+	assert.equal(tracker.fail('ip'), false);
+	assert.equal(tracker.fail('ip'), true);
+	time.now += 6000;
+	tracker.sweep();
+	assert.equal(tracker.entries.size, 0);
+});
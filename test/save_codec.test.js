@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { config } = require('../config');
+const { encodeState, decodeState, SaveCorruptError } = require('../save_codec');
+
+const STATE = Buffer.from('game state '.repeat(1000));
+
+['none', 'gzip', 'brotli'].forEach((algorithm) => {
+	test(`${algorithm} envelopes round-trip with their uploader`, async () => {
+		config.SAVE_COMPRESSION = algorithm;
+		const envelope = await encodeState(STATE, 1234);
+		assert.deepEqual(await decodeState(envelope), { 'state': STATE, 'uploader': 1234 });
+		if (algorithm !== 'none') {
+			assert.ok(envelope.length < STATE.length);
+		}
+	});
+});
+
+test('incompressible states are stored uncompressed', async () => {
+	config.SAVE_COMPRESSION = 'gzip';
+	const random = crypto.randomBytes(512);
+	const envelope = await encodeState(random);
+	assert.equal(envelope.readUInt8(5), 0);
+	assert.deepEqual(await decodeState(envelope), { 'state': random, 'uploader': null });
+});
+
+test('states without an envelope load as they are', async () => {
+	assert.deepEqual(await decodeState(Buffer.from('legacy')), { 'state': Buffer.from('legacy'), 'uploader': null });
+});
+
+test('truncated envelopes are rejected', async () => {
+	config.SAVE_COMPRESSION = 'gzip';
+	const envelope = await encodeState(STATE);
+	await assert.rejects(decodeState(envelope.subarray(0, 20)), SaveCorruptError);
+	await assert.rejects(decodeState(envelope.subarray(0, envelope.length - 4)), SaveCorruptError);
+});
+
+test('checksum mismatches are rejected', async () => {
+	config.SAVE_COMPRESSION = 'none';
+	const envelope = await encodeState(STATE);
+	envelope[envelope.length - 1] ^= 1;
+	await assert.rejects(decodeState(envelope), /checksum mismatch/);
+});
+
+test('payloads inflating past the recorded size are rejected', async () => {
+	config.SAVE_COMPRESSION = 'gzip';
+	const envelope = await encodeState(STATE);
+	const bomb = Buffer.concat([envelope.subarray(0, 46), zlib.gzipSync(Buffer.alloc(1024 * 1024))]);
+	await assert.rejects(decodeState(bomb), /does not decompress/);
+});
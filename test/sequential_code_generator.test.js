@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../config');
+const { MemoryStorage } = require('../storage');
+const { EnhancedSequentialCodeGenerator } = require('../sequential_code_generator');
+
+config.LOG_LEVEL = 'silent';
+
+test('transformNumber is a bijection undone by reverseTransform', () => {
+	[0, 12345].forEach((seed) => {
+		const generator = new EnhancedSequentialCodeGenerator(new MemoryStorage(), seed);
+		const seen = new Set();
+		const samples = [0, 1, 2, generator.MAX_CODES - 2, generator.MAX_CODES - 1];
+		for (let n = 0; n < 20000; n++) {
+			samples.push(n * 77213);
+		}
+		samples.forEach((n) => {
+			const transformed = generator.transformNumber(n);
+			assert.ok(transformed >= 0 && transformed < generator.MAX_CODES);
+			assert.equal(generator.reverseTransform(transformed), n);
+			seen.add(transformed);
+		});
+		assert.equal(seen.size, new Set(samples).size);
+	});
+});
+
+test('codes encode and decode', () => {
+	const generator = new EnhancedSequentialCodeGenerator(new MemoryStorage());
+	const code = generator.encodeBase34(generator.transformNumber(42));
+	assert.ok(generator.isValidCode(code));
+	assert.equal(generator.reverseTransform(generator.decodeBase34(code)), 42);
+	assert.equal(generator.isValidCode('AAA0AA'), false);
+});
+
+test('generateCode skips taken codes and continues from storage', async () => {
+	const storage = new MemoryStorage();
+	const first = new EnhancedSequentialCodeGenerator(storage);
+	const taken = await first.generateCode();
+	const next = await first.generateCode(async (code) => code === first.encodeBase34(first.transformNumber(1)));
+	assert.notEqual(next, taken);
+	assert.equal(first.getStats().codesSkipped, 1);
+	// A restart reserves a fresh block instead of reusing numbers.
+	const second = new EnhancedSequentialCodeGenerator(storage);
+	const code = await second.generateCode();
+	assert.ok(![taken, next].includes(code));
+	assert.equal(second.reverseTransform(second.decodeBase34(code)), 100);
+});
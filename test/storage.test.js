@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage, FileStorage } = require('../storage');
+
+const dirs = [];
+function tempDir() {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saves-'));
+	dirs.push(dir);
+	return dir;
+}
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { 'recursive': true, 'force': true })));
+
+const BACKENDS = {
+	'MemoryStorage': () => new MemoryStorage(),
+	'FileStorage': () => new FileStorage(tempDir()),
+};
+
+Object.entries(BACKENDS).forEach(([name, create]) => {
+	test(`${name} saves, loads and deletes states with their owner`, async () => {
+		const storage = create();
+		await storage.save('ABC123', Buffer.from('state'), 'alice');
+		await storage.save('DEF456', Buffer.from('other'));
+		assert.deepEqual(await storage.load('ABC123'), { 'state': Buffer.from('state'), 'owner': 'alice' });
+		assert.deepEqual(await storage.load('DEF456'), { 'state': Buffer.from('other'), 'owner': null });
+		assert.deepEqual((await storage.list()).sort(), ['ABC123', 'DEF456']);
+		assert.equal(await storage.delete('ABC123'), true);
+		assert.equal(await storage.has('ABC123'), false);
+		assert.equal(await storage.load('ABC123'), null);
+		assert.equal(await storage.delete('ABC123'), false);
+	});
+
+	test(`${name} reserve continues where the last call stopped`, async () => {
+		const storage = create();
+		assert.equal(await storage.reserve('codes', 100), 0);
+		assert.equal(await storage.reserve('codes', 100), 100);
+		assert.equal(await storage.reserve('other', 5), 0);
+		const values = await Promise.all([1, 2, 3].map(() => storage.reserve('codes', 10)));
+		assert.deepEqual(values.sort((a, b) => a - b), [200, 210, 220]);
+		assert.equal(await storage.reserve('codes', 1), 230);
+	});
+
+	test(`${name} lists versions newest first and deletes them`, async () => {
+		const storage = create();
+		await storage.saveVersion('ABC123', 2000, Buffer.from('two'));
+		await storage.saveVersion('ABC123', 1000, Buffer.from('one'));
+		await storage.saveVersion('ABC123', 3000, Buffer.from('three!'));
+		await storage.saveVersion('ABC1234', 4000, Buffer.from('not this one'));
+		assert.deepEqual(await storage.listVersions('ABC123'), [
+			{ 'version': 3000, 'size': 6 },
+			{ 'version': 2000, 'size': 3 },
+			{ 'version': 1000, 'size': 3 },
+		]);
+		assert.deepEqual(await storage.loadVersion('ABC123', 2000), Buffer.from('two'));
+		assert.equal(await storage.deleteVersion('ABC123', 2000), true);
+		assert.equal(await storage.deleteVersion('ABC123', 2000), false);
+		assert.equal(await storage.loadVersion('ABC123', 2000), null);
+		assert.deepEqual((await storage.listVersions('ABC123')).map((v) => v.version), [3000, 1000]);
+	});
+
+	test(`${name} delete removes the versions too`, async () => {
+		const storage = create();
+		await storage.save('ABC123', Buffer.from('state'));
+		await storage.saveVersion('ABC123', 1000, Buffer.from('one'));
+		await storage.saveVersion('DEF456', 1000, Buffer.from('orphan'));
+		assert.equal(await storage.delete('ABC123'), true);
+		assert.deepEqual(await storage.listVersions('ABC123'), []);
+		// Versions alone still count as something removed.
+		assert.equal(await storage.delete('DEF456'), true);
+		assert.deepEqual(await storage.listVersions('DEF456'), []);
+	});
+});
+
+test('FileStorage keeps codes from escaping its directory', async () => {
+	const dir = tempDir();
+	const storage = new FileStorage(path.join(dir, 'saves'));
+	const code = '../escape/é%';
+	await storage.save(code, Buffer.from('state'), 'alice');
+	assert.deepEqual(fs.readdirSync(dir), ['saves']);
+	assert.deepEqual(fs.readdirSync(path.join(dir, 'saves')).sort(), [
+		`${encodeURIComponent(code)}.bin`,
+		`${encodeURIComponent(code)}.owner`,
+	]);
+	assert.deepEqual(await storage.list(), [code]);
+	assert.deepEqual(await storage.load(code), { 'state': Buffer.from('state'), 'owner': 'alice' });
+});
+
+test('FileStorage counters survive a new instance on the same directory', async () => {
+	const dir = tempDir();
+	assert.equal(await new FileStorage(dir).reserve('codes', 100), 0);
+	assert.equal(await new FileStorage(dir).reserve('codes', 100), 100);
+});
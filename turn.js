@@ -0,0 +1,74 @@
+/**
+ * ICE server configuration with ephemeral TURN credentials, following the
+ * coturn REST API scheme (`use-auth-secret` / `static-auth-secret`):
+ *   username   = "<expiry unix timestamp>:<user id>"
+ *   credential = base64(HMAC-SHA1(secret, username))
+ *
+ * Usage:
+ *   const { createIceConfig } = require('./turn');
+ *   const ice = createIceConfig(); // reads the environment
+ *   ice.issue(peer.id); // -> { iceServers: [...], expires: 1700000000 }
+ *
+ * Settings (see config.js):
+ *   STUN_URLS    comma-separated stun: URLs
+ *   TURN_URLS    comma-separated turn:/turns: URLs
+ *   TURN_SECRET  shared secret configured in coturn, TURN is skipped without it
+ *   TURN_TTL     credential lifetime in seconds (default: 3600)
+ */
+
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const DEFAULT_TTL = 3600;
+
+function splitUrls(value) {
+	return (value || '').split(',').map((u) => u.trim()).filter((u) => u !== '');
+}
+
+class IceConfig {
+	constructor({
+		stunUrls = [], turnUrls = [], secret = '', ttl = DEFAULT_TTL,
+	} = {}) {
+		this.stunUrls = stunUrls;
+		this.turnUrls = secret ? turnUrls : [];
+		this.secret = secret;
+		this.ttl = ttl;
+	}
+
+	isEmpty() {
+		return this.stunUrls.length === 0 && this.turnUrls.length === 0;
+	}
+
+	/**
+	 * ICE servers for `userId`, with TURN credentials valid for `ttl` seconds.
+	 * `expires` is 0 when there is nothing to refresh.
+	 */
+	issue(userId) {
+		const iceServers = [];
+		let expires = 0;
+		if (this.stunUrls.length > 0) {
+			iceServers.push({ 'urls': this.stunUrls });
+		}
+		if (this.turnUrls.length > 0) {
+			expires = Math.floor(Date.now() / 1000) + this.ttl;
+			const username = `${expires}:${userId}`;
+			const credential = crypto.createHmac('sha1', this.secret).update(username).digest('base64');
+			iceServers.push({ 'urls': this.turnUrls, 'username': username, 'credential': credential });
+		}
+		return { 'iceServers': iceServers, 'expires': expires };
+	}
+}
+
+function createIceConfig() {
+	return new IceConfig({
+		stunUrls: splitUrls(config.STUN_URLS),
+		turnUrls: splitUrls(config.TURN_URLS),
+		secret: config.TURN_SECRET,
+		ttl: config.TURN_TTL,
+	});
+}
+
+module.exports = {
+	IceConfig,
+	createIceConfig,
+};